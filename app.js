@@ -3,25 +3,99 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import axios from "axios";
-import { callLLM } from "./llm.js";
-import { journalVectorSearch, conferenceVectorSearch, initEmbedding } from "./search.js";
+import { callLLM, streamLLM, getModelInfo, getCircuitState, computeCost, LLMError } from "./llm.js";
+import {
+  search,
+  searchByVector,
+  journalVectorSearch,
+  conferenceVectorSearch,
+} from "./search.js";
+import { initEmbedding, embedTexts, getEmbeddingModel, isCurrentModel, vectorModelOf } from "./embedder.js";
+import { getVectorStoreInfo, invalidateLocalIndex } from "./vectorstore.js";
+import { listModels } from "./models.js";
+import { recordUsage, usageReport } from "./usage.js";
+import {
+  ROLES,
+  hasRole,
+  authenticate,
+  requireRole,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} from "./auth.js";
+import { rateLimit, chargeTokens, getRateLimitInfo } from "./ratelimit.js";
+import { matchVenues } from "./match.js";
+import { validate, buildKey, ValidationError } from "./schemas.js";
+import { refreshEmbedding, backfillEmbeddings, getEmbeddingQueueInfo, embeddingStats } from "./embeddings.js";
+import { translateQuery, shouldTranslate, TRANSLATION_MODES, QUERY_TRANSLATION } from "./translate.js";
+import { importCollection, listImportRuns, Runs } from "./importer.js";
+import { resolveSource } from "./sources.js";
+import { findDuplicates, findDuplicatesOf, mergeVenues, MergeError, DEDUP_TYPES } from "./dedup.js";
+import {
+  createSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  runReminders,
+  startReminderScheduler,
+  getReminderInfo,
+  buildCalendar,
+  CALENDAR_EVENTS,
+} from "./deadlines.js";
+import { getTestOutbox } from "./notifier.js";
+import { recordHistory, listHistory, revertToVersion, deadlineExtensions, HistoryError } from "./history.js";
+import { bulkWrite, BulkError } from "./bulk.js";
+import { streamExport, exportProjection, EXPORT_FORMATS, EXPORT_FIELDS } from "./exporter.js";
+import { CITED_ANSWER_SCHEMA, citationId, groundAnswer } from "./citations.js";
 import { getDb } from "./db.js"; // ✅ dùng db.js thay vì mongoose
+import { once } from "events";
 import { encode } from "gpt-tokenizer"; // ✅ thêm để tính token
+import {
+  createSession,
+  listSessions,
+  getSession,
+  deleteSession,
+  buildHistory,
+  findCited,
+  loadCited,
+  mergeByKey,
+  appendTurn,
+} from "./sessions.js";
+import {
+  QueryError,
+  buildJournalFilter,
+  buildConferenceFilter,
+  invalidDateFilter,
+  CONFERENCE_DATE_PARAMS,
+  parseSort,
+  combineFilters,
+  buildVectorFilters,
+  buildStatusFilter,
+  parseFacets,
+  countFacets,
+} from "./filters.js";
+import { decodeCursor, cursorLimit, findPage, parseCursorSort } from "./pagination.js";
 
 const app = express(); 
+// Sau proxy (Vercel, nginx) để req.ip là IP thật của client — dùng cho rate limit
+const TRUST_PROXY = process.env.TRUST_PROXY ?? (process.env.VERCEL ? "1" : "");
+app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY || false);
 const PORT = 4000;
 const DEFAULT_MODEL_ID = "qwen-max";
 
 // ===== Middleware =====
-app.use(cors()); // ✅ Cho phép mọi origin gọi API
+// CORS: có CORS_ORIGINS="https://a.com,https://b.com" → chỉ các origin trong danh sách được gọi API từ trình duyệt;
+// không đặt → cho phép mọi origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map(x => x.trim()).filter(Boolean);
+app.use(cors(CORS_ORIGINS.length ? { origin: CORS_ORIGINS } : {}));
 app.use(express.json({ limit: "10mb" }));
+app.use(authenticate); // gắn req.apiKey nếu có API key (xem auth.js)
 
-// Debug log middleware
+// Debug log middleware: chỉ method, path và kích thước body — body/query có thể chứa prompt, dữ liệu import, API key
 app.use((req, res, next) => {
   console.log("📩 Request:", {
     method: req.method,
-    url: req.url,
-    body: req.body,
+    path: req.path,
+    body_bytes: Number(req.get("content-length")) || 0,
   });
   next();
 });
@@ -57,57 +131,451 @@ function getPagination(req) {
   const skip = limit ? (page - 1) * limit : 0;
   return { page, limit, skip };
 }
+const JOURNAL_SORT_FIELDS = [
+  "title", "publisher", "country", "region", "sjr", "sjr_best_quartile", "created_time", "modified_time"
+];
+const CONFERENCE_SORT_FIELDS = [
+  "name", "acronym", "location", "deadline", "start_date", "created_time", "modified_time"
+];
+// ?cursor=: chỉ field một kiểu BSON (xem pagination.js)
+const JOURNAL_CURSOR_SORT_FIELDS = ["_id"];
+const CONFERENCE_CURSOR_SORT_FIELDS = ["_id", "deadline", "start_date"];
+const JOURNAL_FACET_FIELDS = ["areas", "categories", "sjr_best_quartile", "country", "region", "publisher"];
+const CONFERENCE_FACET_FIELDS = ["location", "topics", "publisher"];
+function sendQueryError(res, err) {
+  return res.status(400).json({ error: err.message, details: err.details });
+}
+function sendValidationError(res, err) {
+  return res.status(422).json({ error: err.message, details: err.details });
+}
+// Badge "deadline extended" của conference, suy ra từ lịch sử thay đổi (xem history.js)
+async function withDeadlineBadges(items) {
+  const extended = await deadlineExtensions(db, items.map(d => d._id));
+  return items.map(d => (extended.has(String(d._id)) ? { ...d, deadline_extended: extended.get(String(d._id)) } : d));
+}
 function buildSearchFilter(q, fields) {
   if (!q || !q.trim()) return {};
   const regex = new RegExp(q.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
   return { $or: fields.map(f => ({ [f]: regex })) };
 }
+// Filter của list / export: filter có kiểu + status + ?q= (regex trên các field chính)
+function journalListFilter(query) {
+  return combineFilters(buildJournalFilter(query), buildStatusFilter(query), buildSearchFilter(query.q, [
+    "title",
+    "publisher",
+    "areas",
+    "categories",
+    "country",
+    "region",
+    "issn",
+    "_key",
+    "id_journal",
+    "sjr",
+    "sjr_best_quartile"
+  ]));
+}
+function conferenceListFilter(query) {
+  return combineFilters(buildConferenceFilter(query), buildStatusFilter(query), buildSearchFilter(query.q, [
+    "name",
+    "title",
+    "acronym",
+    "location",
+    "topics",
+    "url",
+    "_key",
+    "id_conference",
+    "deadline",
+    "start_date"
+  ]));
+}
+// limit=0 (lấy tất cả): stream { page, total, facets?, items } từ cursor thay vì toArray();
+// mapBatch xử lý từng nhóm document trước khi ghi (vd. badge của conference)
+async function sendAllItems(res, cursor, meta, mapBatch = items => items) {
+  res.type("application/json");
+  res.write(`${JSON.stringify({ page: 1, ...meta }).slice(0, -1)},"items":[`);
+  let first = true;
+  let batch = [];
+  const flush = async () => {
+    for (const item of await mapBatch(batch)) {
+      const ok = res.write(`${first ? "" : ","}${JSON.stringify(item)}`);
+      first = false;
+      if (!ok) await once(res, "drain");
+    }
+    batch = [];
+  };
+  try {
+    for await (const doc of cursor) {
+      if (res.destroyed) break;
+      batch.push(doc);
+      if (batch.length >= 200) await flush();
+    }
+    await flush();
+  } finally {
+    await cursor.close();
+  }
+  res.end("]}");
+}
 
 /* ===================== HEALTH ===================== */
 app.get("/api/health", (_req, res) => {
   res.json({
     status: "ok",
     db: db ? "connected" : "disconnected",
+    vector_store: getVectorStoreInfo(),
+    llm_circuits: getCircuitState(),
+    rate_limit: getRateLimitInfo(),
+    embedding_model: getEmbeddingModel(),
+    embedding_queue: getEmbeddingQueueInfo(),
+    reminders: getReminderInfo(),
     time: new Date().toISOString(),
   });
 });
 
+/* ===================== ADMIN: API KEYS ===================== */
+
+// POST /api/admin/keys  { name, role: reader|editor|admin, daily_token_quota? } → key gốc chỉ trả về một lần
+app.post("/api/admin/keys", requireRole("admin"), async (req, res) => {
+  try {
+    const { name, role = "reader", daily_token_quota = null } = req.body || {};
+    if (!String(name || "").trim()) return res.status(400).json({ error: "Missing name" });
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${ROLES.join(", ")}` });
+    }
+    if (daily_token_quota !== null && !(Number.isInteger(daily_token_quota) && daily_token_quota >= 0)) {
+      return res.status(400).json({ error: "daily_token_quota must be a non-negative integer" });
+    }
+    const created = await createApiKey({ name, role, daily_token_quota, created_by: req.apiKey.id });
+    res.status(201).json(created);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to create API key", detail: err.message });
+  }
+});
+
+// GET /api/admin/keys?includeRevoked=true
+app.get("/api/admin/keys", requireRole("admin"), async (req, res) => {
+  try {
+    const items = await listApiKeys({ includeRevoked: parseBool(req.query.includeRevoked) });
+    res.json({ total: items.length, items });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch API keys", detail: err.message });
+  }
+});
+
+// DELETE /api/admin/keys/:id  (thu hồi, không xóa hẳn)
+app.delete("/api/admin/keys/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id, { revoked_by: req.apiKey.id });
+    if (!revoked) return res.status(404).json({ error: "API key not found" });
+    res.json({ message: "API key revoked", revoked });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to revoke API key", detail: err.message });
+  }
+});
+
+/* ===================== ADMIN: EMBEDDINGS ===================== */
+
+// POST /api/admin/embeddings/backfill  { type: journal|conference|all, limit?, dry_run? }
+// Embed các document chưa có vector (vd. tạo khi embedder chưa load và hàng đợi nền bị mất)
+app.post("/api/admin/embeddings/backfill", requireRole("admin"), async (req, res) => {
+  try {
+    const { type = "all", limit = 1000, dry_run = false } = req.body || {};
+    const types = SEARCH_TYPES[type];
+    if (!types) {
+      return res.status(400).json({ error: `type must be one of ${Object.keys(SEARCH_TYPES).join(", ")}` });
+    }
+    if (!(Number.isInteger(limit) && limit >= 0)) {
+      return res.status(400).json({ error: "limit must be a non-negative integer" });
+    }
+    const result = await backfillEmbeddings({ types, limit, dryRun: dry_run === true });
+    res.json({ dry_run: dry_run === true, ...result });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to backfill embeddings", detail: err.message });
+  }
+});
+
+// GET /api/admin/embeddings/status?type=journal|conference|all
+// Số vector theo model/chiều của từng collection; mixed/stale > 0 → cần chạy `node reembed.js`
+app.get("/api/admin/embeddings/status", requireRole("admin"), async (req, res) => {
+  try {
+    const types = SEARCH_TYPES[req.query.type || "all"];
+    if (!types) {
+      return res.status(400).json({ error: `type must be one of ${Object.keys(SEARCH_TYPES).join(", ")}` });
+    }
+    res.json(await embeddingStats({ types }));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to read embedding status", detail: err.message });
+  }
+});
+
+/* ===================== ADMIN: IMPORT ===================== */
+const IMPORT_UPLOAD_LIMIT = process.env.IMPORT_UPLOAD_LIMIT || "50mb";
+const CSV_TYPES = ["text/csv", "text/plain", "text/tab-separated-values", "application/csv"];
+
+// POST /api/import?type=journal|conference&profile=sjr&wait=true
+// Body: CSV (Content-Type: text/csv) hoặc JSON (mảng record, { records: [...] } hoặc { <type>: [...] } như data.json).
+// Chạy nền → 202 { run_id }; theo dõi qua GET /api/import/runs/:id.
+// Trên Vercel function bị đóng băng ngay khi trả response → luôn chạy trong request (như ?wait=true), trả kết quả;
+// file quá lớn so với thời gian tối đa của function thì dùng CLI import.js.
+const IMPORT_INLINE = !!process.env.VERCEL;
+
+app.post(
+  "/api/import",
+  requireRole("admin"),
+  express.text({ type: CSV_TYPES, limit: IMPORT_UPLOAD_LIMIT }),
+  async (req, res) => {
+    try {
+      const isCsv = typeof req.body === "string";
+      const body = isCsv
+        ? req.body
+        : Array.isArray(req.body)
+          ? req.body
+          : req.body?.records || req.body?.[req.query.records_path || req.query.type];
+      if (!body || !body.length) {
+        return res.status(400).json({ error: "Empty upload: send CSV (text/csv) or a JSON array of records" });
+      }
+
+      let source;
+      try {
+        source = await resolveSource({
+          type: req.query.type,
+          profile: req.query.profile,
+          adapter: isCsv ? "csv" : "json-file",
+          body,
+        });
+      } catch (err) {
+        return res.status(400).json({ error: "Invalid import source", detail: err.message });
+      }
+
+      if (IMPORT_INLINE || parseBool(req.query.wait)) {
+        const result = await importCollection(db, source, { embed: embedTexts, actor: apiKeyLabel(req) });
+        console.log(`✔ Import ${result.run_id} (${source.name} → ${source.type}):`, result.counts);
+        return res.json({
+          ...result,
+          source: source.name,
+          type: source.type,
+          adapter: source.adapter,
+          status_url: `/api/import/runs/${result.run_id}`,
+        });
+      }
+
+      const runId = await new Promise((resolve, reject) => {
+        importCollection(db, source, { embed: embedTexts, actor: apiKeyLabel(req), onStart: resolve })
+          .then(r => console.log(`✔ Import ${r.run_id} (${source.name} → ${source.type}):`, r.counts))
+          .catch(err => {
+            console.error(`❌ Import upload (${source.name} → ${source.type}) failed:`, err.message);
+            reject(err); // chỉ có tác dụng nếu lỗi trước khi tạo run
+          });
+      });
+      res.status(202).json({
+        run_id: runId,
+        source: source.name,
+        type: source.type,
+        adapter: source.adapter,
+        status_url: `/api/import/runs/${runId}`,
+      });
+    } catch (err) {
+      res.status(500).json({ error: "Import failed", detail: err.message, ...(err.processed !== undefined && { processed: err.processed }) });
+    }
+  }
+);
+
+// GET /api/import/runs?collection=&source=&limit=
+app.get("/api/import/runs", requireRole("admin"), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "20", 10) || 20, 1), 200);
+    const items = await listImportRuns(db, { collection: req.query.collection, source: req.query.source, limit });
+    res.json({ total: items.length, items });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch import runs", detail: err.message });
+  }
+});
+
+// GET /api/import/runs/:id
+app.get("/api/import/runs/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const { ObjectId } = await import("mongodb");
+    if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: "Import run not found" });
+    const run = await (await Runs(db)).findOne({ _id: new ObjectId(req.params.id) });
+    if (!run) return res.status(404).json({ error: "Import run not found" });
+    res.json(run);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch import run", detail: err.message });
+  }
+});
+
+/* ===================== DUPLICATES ===================== */
+
+// GET /api/duplicates?type=journal|conference|all&threshold=0.92&limit=
+// GET /api/duplicates?type=journal&id=...  → ứng viên trùng của một document (thêm hàng xóm vector)
+app.get("/api/duplicates", requireRole("editor"), async (req, res) => {
+  try {
+    const type = req.query.type || "all";
+    const errors = [];
+    if (!SEARCH_TYPES[type] || (req.query.id && type === "all")) {
+      errors.push({ param: "type", message: `type must be one of ${req.query.id ? DEDUP_TYPES.join(", ") : Object.keys(SEARCH_TYPES).join(", ")}`, value: type });
+    }
+    const threshold = req.query.threshold === undefined ? undefined : Number(req.query.threshold);
+    if (threshold !== undefined && !(threshold >= 0 && threshold <= 1)) {
+      errors.push({ param: "threshold", message: "threshold must be a number between 0 and 1", value: req.query.threshold });
+    }
+    if (errors.length) return sendQueryError(res, new QueryError("Invalid query parameters", errors));
+
+    if (req.query.id) {
+      const { ObjectId } = await import("mongodb");
+      if (!ObjectId.isValid(req.query.id)) return res.status(404).json({ error: "Document not found" });
+      const result = await findDuplicatesOf(type, req.query.id, { threshold });
+      if (!result) return res.status(404).json({ error: "Document not found" });
+      return res.json(result);
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "100", 10) || 100, 1), 1000);
+    res.json(await findDuplicates({ types: SEARCH_TYPES[type], threshold, limit }));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to find duplicates", detail: err.message });
+  }
+});
+
+// POST /api/admin/duplicates/merge  { type, target_id, source_ids: [...], fields?: { field: id lấy giá trị } }
+// Bản trùng → status: "merged" (ẩn khỏi list/search), _key của chúng thành alias của target cho các lần import sau
+app.post("/api/admin/duplicates/merge", requireRole("admin"), async (req, res) => {
+  try {
+    const { type, target_id, source_ids, fields } = req.body || {};
+    if (fields !== undefined && (typeof fields !== "object" || fields === null || Array.isArray(fields))) {
+      return res.status(400).json({ error: "fields must be an object { field: id }" });
+    }
+    const result = await mergeVenues({
+      type,
+      targetId: target_id,
+      sourceIds: Array.isArray(source_ids) ? source_ids : null,
+      fields,
+      actor: apiKeyLabel(req),
+    });
+    res.setHeader("X-Embedding-Status", result.embedding);
+    res.json(result);
+  } catch (err) {
+    if (err instanceof MergeError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: "Failed to merge duplicates", detail: err.message });
+  }
+});
+
+/* ===================== MODELS ===================== */
+
+// GET /api/models  (các model LLM đang bật trong registry)
+app.get("/api/models", async (_req, res) => {
+  try {
+    const items = await listModels();
+    res.json({
+      default: DEFAULT_MODEL_ID,
+      total: items.length,
+      items: items.map(m => ({ ...m, default: m.id === DEFAULT_MODEL_ID }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch models", detail: err.message });
+  }
+});
+
+/* ===================== USAGE ===================== */
+
+// GET /api/usage?group_by=model,day,api_key&from=&to=&model_id=&api_key=
+app.get("/api/usage", requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await usageReport(req.query));
+  } catch (err) {
+    if (err instanceof QueryError) return sendQueryError(res, err);
+    res.status(500).json({ error: "Failed to fetch usage", detail: err.message });
+  }
+});
+
+/* ===================== BULK / EXPORT ===================== */
+const EXPORT_FIELD_RE = /^[A-Za-z_][\w-]*$/;
+
+async function exportVenues(req, res, type, listFilter) {
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+    const errors = [];
+    if (!EXPORT_FORMATS[format]) {
+      errors.push({ param: "format", message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}`, value: req.query.format });
+    }
+    const fields = req.query.fields ? String(req.query.fields).split(",").map(f => f.trim()).filter(Boolean) : null;
+    const badFields = (fields || []).filter(f => !EXPORT_FIELD_RE.test(f) || f === "vector");
+    if (badFields.length) errors.push({ param: "fields", message: "fields must be a comma-separated list of field names", value: badFields });
+    if (errors.length) return sendQueryError(res, new QueryError("Invalid query parameters", errors));
+
+    const filter = listFilter(req.query);
+    const sort = parseSort(req.query.sort, type === "journal" ? JOURNAL_SORT_FIELDS : CONFERENCE_SORT_FIELDS);
+    const columns = fields || (format === "csv" ? EXPORT_FIELDS[type] : null);
+    const cursor = db.collection(type).find(filter, { projection: exportProjection(format, columns) }).sort({ ...sort, _id: 1 });
+    const filename = `${type}s-${new Date().toISOString().slice(0, 10)}`;
+    await streamExport(res, cursor, { type, format, fields: columns, filename });
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err); // lỗi giữa stream: cắt kết nối để client biết file không trọn vẹn
+    if (err instanceof QueryError) return sendQueryError(res, err);
+    res.status(500).json({ error: `Failed to export ${type}s`, detail: err.message });
+  }
+}
+
+async function bulkVenues(req, res, type) {
+  try {
+    const result = await bulkWrite(type, req.body?.ops, {
+      actor: apiKeyLabel(req),
+      canDelete: hasRole(req.apiKey, "admin"),
+    });
+    res.json(result);
+  } catch (err) {
+    if (err instanceof BulkError) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: `Failed to run ${type} bulk operations`, detail: err.message });
+  }
+}
+
 /* ===================== JOURNALS CRUD ===================== */
 
 // GET /api/journals  (list/search/pagination)
+// ?page=&limit= hoặc ?cursor=&limit= (next_cursor); ?facets=areas,sjr_best_quartile,country&facet_limit=
 app.get("/api/journals", async (req, res) => {
   try {
-    const { q, includeVector } = req.query;
-    const projection = getProjection(parseBool(includeVector));
+    const projection = getProjection(parseBool(req.query.includeVector));
     const { limit, skip, page } = getPagination(req);
+    const sort = req.query.cursor !== undefined
+      ? parseCursorSort(req.query.sort, JOURNAL_CURSOR_SORT_FIELDS)
+      : parseSort(req.query.sort, JOURNAL_SORT_FIELDS);
 
-    const filter = buildSearchFilter(q, [
-      "title",
-      "publisher",
-      "areas",
-      "categories",
-      "country",
-      "region",
-      "issn",
-      "_key",
-      "id_journal",
-      "sjr",
-      "sjr_best_quartile"
-    ]);
+    const facets = parseFacets(req.query, JOURNAL_FACET_FIELDS);
+
+    const filter = journalListFilter(req.query);
+    const facetCounts = () => facets && countFacets(Journals(), filter, facets);
+
+    // ?cursor= (rỗng = trang đầu) → phân trang keyset, không đếm total (xem pagination.js)
+    if (req.query.cursor !== undefined) {
+      const pageLimit = cursorLimit(req.query);
+      const after = decodeCursor(req.query.cursor, sort);
+      const [result, facetResult] = await Promise.all([
+        findPage(Journals(), filter, { sort, cursor: after, limit: pageLimit, projection }),
+        facetCounts(),
+      ]);
+      return res.json({ limit: pageLimit, next_cursor: result.next_cursor, ...(facets && { facets: facetResult }), items: result.items });
+    }
 
     if (!limit) {
-      const data = await Journals().find(filter, { projection }).sort({ created_time: -1 }).toArray();
-      return res.json({ page: 1, total: data.length, items: data });
+      const [total, facetResult] = await Promise.all([Journals().countDocuments(filter), facetCounts()]);
+      return sendAllItems(res, Journals().find(filter, { projection }).sort(sort), { total, ...(facets && { facets: facetResult }) });
     }
 
-    const cursor = Journals().find(filter, { projection }).sort({ created_time: -1 }).skip(skip).limit(limit);
-    const [items, total] = await Promise.all([cursor.toArray(), Journals().countDocuments(filter)]);
-    res.json({ page, limit, total, items });
+    const cursor = Journals().find(filter, { projection }).sort(sort).skip(skip).limit(limit);
+    const [items, total, facetResult] = await Promise.all([cursor.toArray(), Journals().countDocuments(filter), facetCounts()]);
+    res.json({ page, limit, total, ...(facets && { facets: facetResult }), items });
   } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    if (err instanceof QueryError) return sendQueryError(res, err);
     res.status(500).json({ error: "Failed to fetch journals", detail: err.message });
   }
 });
 
+// GET /api/journals/export?format=csv|ndjson|bibtex&fields=&sort=&(filters như GET /api/journals)
+app.get("/api/journals/export", (req, res) => exportVenues(req, res, "journal", journalListFilter));
+
+// POST /api/journals/bulk  { ops: [{ op: "upsert", _id?, doc }, { op: "delete", _id }] } → kết quả từng op
+app.post("/api/journals/bulk", requireRole("editor"), (req, res) => bulkVenues(req, res, "journal"));
+
 // GET /api/journals/:id
 app.get("/api/journals/:id", async (req, res) => {
   try {
@@ -122,38 +590,55 @@ app.get("/api/journals/:id", async (req, res) => {
 });
 
 // POST /api/journals
-app.post("/api/journals", async (req, res) => {
+app.post("/api/journals", requireRole("editor"), async (req, res) => {
   try {
-    const result = await Journals().insertOne(req.body);
-    res.status(201).json({ _id: result.insertedId, ...req.body });
+    const value = validate("journal", req.body);
+    const now = new Date();
+    // origin: "api" → import.js không soft-delete document này khi nó không có trong feed
+    const doc = { ...value, _key: buildKey("journal", value), origin: "api", created_time: now, modified_time: now };
+    const result = await Journals().insertOne(doc);
+    doc._id = result.insertedId;
+    await recordHistory(db, "journal", [{ doc_id: doc._id, op: "create", before: null, after: doc, actor: apiKeyLabel(req) }]);
+    res.set("X-Embedding-Status", await refreshEmbedding("journal", doc));
+    res.status(201).json(doc);
   } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
     res.status(400).json({ error: "Failed to create journal", detail: err.message });
   }
 });
 
 // PUT /api/journals/:id
-app.put("/api/journals/:id", async (req, res) => {
+app.put("/api/journals/:id", requireRole("editor"), async (req, res) => {
   try {
     const { ObjectId } = await import("mongodb");
-    const result = await Journals().findOneAndUpdate(
+    // Cập nhật một phần; _key giữ nguyên để import vẫn khớp được record
+    const value = validate("journal", req.body, { partial: true });
+    const update = { ...value, modified_time: new Date() };
+    const before = await Journals().findOneAndUpdate(
       { _id: new ObjectId(req.params.id) },
-      { $set: req.body },
-      { returnDocument: "after" }
+      { $set: update },
+      { returnDocument: "before" }
     );
-    if (!result.value) return res.status(404).json({ error: "Journal not found" });
-    res.json(result.value);
+    if (!before) return res.status(404).json({ error: "Journal not found" });
+    const doc = { ...before, ...update };
+    await recordHistory(db, "journal", [{ doc_id: doc._id, op: "update", before, after: doc, actor: apiKeyLabel(req) }]);
+    res.set("X-Embedding-Status", await refreshEmbedding("journal", doc, { before }));
+    const { vector: _vector, ...rest } = doc;
+    res.json(rest);
   } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
     res.status(400).json({ error: "Failed to update journal", detail: err.message });
   }
 });
 
 // DELETE /api/journals/:id
-app.delete("/api/journals/:id", async (req, res) => {
+app.delete("/api/journals/:id", requireRole("admin"), async (req, res) => {
   try {
     const { ObjectId } = await import("mongodb");
-    const result = await Journals().findOneAndDelete({ _id: new ObjectId(req.params.id) });
-    if (!result.value) return res.status(404).json({ error: "Journal not found" });
-    res.json({ message: "Journal deleted", deleted: result.value });
+    const doc = await Journals().findOneAndDelete({ _id: new ObjectId(req.params.id) }, { projection: { vector: 0 } });
+    if (!doc) return res.status(404).json({ error: "Journal not found" });
+    await recordHistory(db, "journal", [{ doc_id: doc._id, op: "delete", before: doc, after: null, actor: apiKeyLabel(req) }]);
+    res.json({ message: "Journal deleted", deleted: doc });
   } catch (err) {
     res.status(500).json({ error: "Failed to delete journal", detail: err.message });
   }
@@ -162,38 +647,98 @@ app.delete("/api/journals/:id", async (req, res) => {
 /* ===================== CONFERENCES CRUD ===================== */
 
 // GET /api/conferences  (list/search/pagination)
+// ?page=&limit= hoặc ?cursor=&limit= (next_cursor); ?facets=location,topics&facet_limit=
 app.get("/api/conferences", async (req, res) => {
   try {
-    const { q, includeVector } = req.query;
-    const projection = getProjection(parseBool(includeVector));
+    const projection = getProjection(parseBool(req.query.includeVector));
     const { limit, skip, page } = getPagination(req);
+    const sort = req.query.cursor !== undefined
+      ? parseCursorSort(req.query.sort, CONFERENCE_CURSOR_SORT_FIELDS)
+      : parseSort(req.query.sort, CONFERENCE_SORT_FIELDS);
 
-    const filter = buildSearchFilter(q, [
-      "name",
-      "title",
-      "acronym",
-      "location",
-      "topics",
-      "url",
-      "_key",
-      "id_conference",
-      "deadline",
-      "start_date"
-    ]);
+    const facets = parseFacets(req.query, CONFERENCE_FACET_FIELDS);
+
+    const filter = conferenceListFilter(req.query);
+    const facetCounts = () => facets && countFacets(Conferences(), filter, facets);
+    // Lọc theo khoảng ngày: báo số conference khớp các điều kiện khác nhưng có ngày không parse được (bị loại)
+    const invalidDates = invalidDateFilter(req.query);
+    const withoutDates = { ...req.query, ...Object.fromEntries(CONFERENCE_DATE_PARAMS.map(p => [p, undefined])) };
+    const invalidDateCount = async () => invalidDates
+      ? { skipped_invalid_dates: await Conferences().countDocuments(combineFilters(conferenceListFilter(withoutDates), invalidDates)) }
+      : {};
+
+    if (req.query.cursor !== undefined) {
+      const pageLimit = cursorLimit(req.query);
+      const after = decodeCursor(req.query.cursor, sort);
+      const [result, facetResult, invalid] = await Promise.all([
+        findPage(Conferences(), filter, { sort, cursor: after, limit: pageLimit, projection }),
+        facetCounts(),
+        invalidDateCount(),
+      ]);
+      return res.json({
+        limit: pageLimit,
+        next_cursor: result.next_cursor,
+        ...invalid,
+        ...(facets && { facets: facetResult }),
+        items: await withDeadlineBadges(result.items),
+      });
+    }
 
     if (!limit) {
-      const data = await Conferences().find(filter, { projection }).sort({ created_time: -1 }).toArray();
-      return res.json({ page: 1, total: data.length, items: data });
+      const [total, facetResult, invalid] = await Promise.all([Conferences().countDocuments(filter), facetCounts(), invalidDateCount()]);
+      return sendAllItems(
+        res,
+        Conferences().find(filter, { projection }).sort(sort),
+        { total, ...invalid, ...(facets && { facets: facetResult }) },
+        withDeadlineBadges
+      );
     }
 
-    const cursor = Conferences().find(filter, { projection }).sort({ created_time: -1 }).skip(skip).limit(limit);
-    const [items, total] = await Promise.all([cursor.toArray(), Conferences().countDocuments(filter)]);
-    res.json({ page, limit, total, items });
+    const cursor = Conferences().find(filter, { projection }).sort(sort).skip(skip).limit(limit);
+    const [items, total, facetResult, invalid] = await Promise.all([
+      cursor.toArray(),
+      Conferences().countDocuments(filter),
+      facetCounts(),
+      invalidDateCount(),
+    ]);
+    res.json({ page, limit, total, ...invalid, ...(facets && { facets: facetResult }), items: await withDeadlineBadges(items) });
   } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    if (err instanceof QueryError) return sendQueryError(res, err);
     res.status(500).json({ error: "Failed to fetch conferences", detail: err.message });
   }
 });
 
+// GET /api/conferences/calendar.ics?topic=&location=&deadline_from=&deadline_to=&start_from=&start_to=&events=deadline,conference&past=true
+// Mặc định chỉ các sự kiện từ hôm nay (UTC); past=true hoặc có khoảng ngày *_from/*_to → không lọc theo hôm nay
+// (đăng ký trước /api/conferences/:id)
+app.get("/api/conferences/calendar.ics", async (req, res) => {
+  try {
+    const events = req.query.events ? String(req.query.events).split(",").map(x => x.trim()).filter(Boolean) : CALENDAR_EVENTS;
+    const invalid = events.filter(e => !CALENDAR_EVENTS.includes(e));
+    if (invalid.length || !events.length) {
+      return sendQueryError(res, new QueryError("Invalid query parameters", [
+        { param: "events", message: `events must be a list of ${CALENDAR_EVENTS.join(", ")}`, value: req.query.events }
+      ]));
+    }
+    const filter = combineFilters(buildConferenceFilter(req.query), buildSearchFilter(req.query.q, ["name", "title", "acronym"]));
+    const ranged = ["deadline_from", "deadline_to", "start_from", "start_to"].some(p => req.query[p]);
+    const { ics } = await buildCalendar(filter, { events, upcoming: !parseBool(req.query.past) && !ranged });
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'inline; filename="conferences.ics"');
+    res.send(ics);
+  } catch (err) {
+    if (err instanceof QueryError) return sendQueryError(res, err);
+    res.status(500).json({ error: "Failed to build calendar", detail: err.message });
+  }
+});
+
+// GET /api/conferences/export?format=csv|ndjson|bibtex&fields=&sort=&(filters như GET /api/conferences)
+app.get("/api/conferences/export", (req, res) => exportVenues(req, res, "conference", conferenceListFilter));
+
+// POST /api/conferences/bulk  { ops: [{ op: "upsert", _id?, doc }, { op: "delete", _id }] } → kết quả từng op
+app.post("/api/conferences/bulk", requireRole("editor"), (req, res) => bulkVenues(req, res, "conference"));
+
 // GET /api/conferences/:id
 app.get("/api/conferences/:id", async (req, res) => {
   try {
@@ -201,50 +746,379 @@ app.get("/api/conferences/:id", async (req, res) => {
     const { ObjectId } = await import("mongodb");
     const doc = await Conferences().findOne({ _id: new ObjectId(req.params.id) }, { projection });
     if (!doc) return res.status(404).json({ error: "Conference not found" });
-    res.json(doc);
+    const [item] = await withDeadlineBadges([doc]);
+    res.json(item);
   } catch (err) {
     res.status(500).json({ error: "Failed to fetch conference", detail: err.message });
   }
 });
 
 // POST /api/conferences
-app.post("/api/conferences", async (req, res) => {
+app.post("/api/conferences", requireRole("editor"), async (req, res) => {
   try {
-    const result = await Conferences().insertOne(req.body);
-    res.status(201).json({ _id: result.insertedId, ...req.body });
+    const value = validate("conference", req.body);
+    const now = new Date();
+    const doc = { ...value, _key: buildKey("conference", value), origin: "api", created_time: now, modified_time: now };
+    const result = await Conferences().insertOne(doc);
+    doc._id = result.insertedId;
+    await recordHistory(db, "conference", [{ doc_id: doc._id, op: "create", before: null, after: doc, actor: apiKeyLabel(req) }]);
+    res.set("X-Embedding-Status", await refreshEmbedding("conference", doc));
+    res.status(201).json(doc);
   } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
     res.status(400).json({ error: "Failed to create conference", detail: err.message });
   }
 });
 
 // PUT /api/conferences/:id
-app.put("/api/conferences/:id", async (req, res) => {
+app.put("/api/conferences/:id", requireRole("editor"), async (req, res) => {
   try {
     const { ObjectId } = await import("mongodb");
-    const result = await Conferences().findOneAndUpdate(
+    // Cập nhật một phần; _key giữ nguyên để import vẫn khớp được record
+    const value = validate("conference", req.body, { partial: true });
+    const update = { ...value, modified_time: new Date() };
+    const before = await Conferences().findOneAndUpdate(
       { _id: new ObjectId(req.params.id) },
-      { $set: req.body },
-      { returnDocument: "after" }
+      { $set: update },
+      { returnDocument: "before" }
     );
-    if (!result.value) return res.status(404).json({ error: "Conference not found" });
-    res.json(result.value);
+    if (!before) return res.status(404).json({ error: "Conference not found" });
+    const doc = { ...before, ...update };
+    await recordHistory(db, "conference", [{ doc_id: doc._id, op: "update", before, after: doc, actor: apiKeyLabel(req) }]);
+    res.set("X-Embedding-Status", await refreshEmbedding("conference", doc, { before }));
+    const { vector: _vector, ...rest } = doc;
+    res.json(rest);
   } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
     res.status(400).json({ error: "Failed to update conference", detail: err.message });
   }
 });
 
 // DELETE /api/conferences/:id
-app.delete("/api/conferences/:id", async (req, res) => {
+app.delete("/api/conferences/:id", requireRole("admin"), async (req, res) => {
   try {
     const { ObjectId } = await import("mongodb");
-    const result = await Conferences().findOneAndDelete({ _id: new ObjectId(req.params.id) });
-    if (!result.value) return res.status(404).json({ error: "Conference not found" });
-    res.json({ message: "Conference deleted", deleted: result.value });
+    const doc = await Conferences().findOneAndDelete({ _id: new ObjectId(req.params.id) }, { projection: { vector: 0 } });
+    if (!doc) return res.status(404).json({ error: "Conference not found" });
+    await recordHistory(db, "conference", [{ doc_id: doc._id, op: "delete", before: doc, after: null, actor: apiKeyLabel(req) }]);
+    res.json({ message: "Conference deleted", deleted: doc });
   } catch (err) {
     res.status(500).json({ error: "Failed to delete conference", detail: err.message });
   }
 });
 
+/* ===================== HISTORY (audit trail) ===================== */
+
+// Lịch sử thay đổi của một document (mới nhất trước); ?before=<version> để xem trang tiếp theo
+async function getHistory(req, res, type) {
+  const label = type === "journal" ? "Journal" : "Conference";
+  try {
+    const { ObjectId } = await import("mongodb");
+    if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: `${label} not found` });
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "50", 10) || 50, 1), 500);
+    const before = req.query.before ? parseInt(req.query.before, 10) || null : null;
+    const result = await listHistory(db, type, new ObjectId(req.params.id), { limit, before });
+    if (!result.total) return res.status(404).json({ error: `No history for this ${type}` });
+    res.json({ _id: req.params.id, type, ...result });
+  } catch (err) {
+    res.status(500).json({ error: `Failed to fetch ${type} history`, detail: err.message });
+  }
+}
+
+// Đưa document về trạng thái sau version N (document đã xóa được tạo lại)
+async function revertVenue(req, res, type) {
+  const label = type === "journal" ? "Journal" : "Conference";
+  try {
+    const { ObjectId } = await import("mongodb");
+    if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: `${label} not found` });
+    const version = req.body?.version;
+    if (!(Number.isInteger(version) && version >= 1)) {
+      return res.status(400).json({ error: "version must be a positive integer" });
+    }
+    const { doc, changed } = await revertToVersion(db, type, new ObjectId(req.params.id), version, { actor: apiKeyLabel(req) });
+    if (changed.includes("status")) invalidateLocalIndex(type);
+    // doc đọc lại không kèm vector → luôn embed lại theo nội dung vừa khôi phục
+    res.set("X-Embedding-Status", await refreshEmbedding(type, doc));
+    res.json({ reverted_to: version, changed, item: doc });
+  } catch (err) {
+    if (err instanceof HistoryError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: `Failed to revert ${type}`, detail: err.message });
+  }
+}
+
+// GET /api/journals/:id/history?limit=&before=
+app.get("/api/journals/:id/history", requireRole("editor"), (req, res) => getHistory(req, res, "journal"));
+
+// GET /api/conferences/:id/history?limit=&before=
+app.get("/api/conferences/:id/history", requireRole("editor"), (req, res) => getHistory(req, res, "conference"));
+
+// POST /api/journals/:id/revert  { version }
+app.post("/api/journals/:id/revert", requireRole("editor"), (req, res) => revertVenue(req, res, "journal"));
+
+// POST /api/conferences/:id/revert  { version }
+app.post("/api/conferences/:id/revert", requireRole("editor"), (req, res) => revertVenue(req, res, "conference"));
+
+/* ===================== DEADLINE SUBSCRIPTIONS ===================== */
+// Subscription gắn với API key (owner); admin xem/xóa được của mọi key
+
+// POST /api/subscriptions  { conference_id | filter: { topic, location }, channel: email|webhook|test, target, days?: [30, 7, 1] }
+app.post("/api/subscriptions", requireRole("reader"), async (req, res) => {
+  try {
+    if (!req.apiKey) return res.status(401).json({ error: "API key required" });
+    const sub = await createSubscription(req.apiKey.id, req.body || {});
+    res.status(201).json(sub);
+  } catch (err) {
+    if (err instanceof ValidationError) return sendValidationError(res, err);
+    res.status(500).json({ error: "Failed to create subscription", detail: err.message });
+  }
+});
+
+// GET /api/subscriptions  (admin: ?all=true để xem của mọi key)
+app.get("/api/subscriptions", requireRole("reader"), async (req, res) => {
+  try {
+    if (!req.apiKey) return res.status(401).json({ error: "API key required" });
+    const all = req.apiKey.role === "admin" && parseBool(req.query.all);
+    const items = await listSubscriptions({ owner: all ? null : req.apiKey.id });
+    res.json({ total: items.length, items });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch subscriptions", detail: err.message });
+  }
+});
+
+// DELETE /api/subscriptions/:id
+app.delete("/api/subscriptions/:id", requireRole("reader"), async (req, res) => {
+  try {
+    if (!req.apiKey) return res.status(401).json({ error: "API key required" });
+    const owner = req.apiKey.role === "admin" ? null : req.apiKey.id;
+    const deleted = await deleteSubscription(req.params.id, { owner });
+    if (!deleted) return res.status(404).json({ error: "Subscription not found" });
+    res.json({ message: "Subscription deleted", deleted });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to delete subscription", detail: err.message });
+  }
+});
+
+// POST /api/admin/reminders/run  { date?: "YYYY-MM-DD", dry_run? }
+// Chạy nhắc hạn ngay (dùng cho Vercel Cron, nơi không có node-cron chạy nền, hoặc để thử)
+app.post("/api/admin/reminders/run", requireRole("admin"), async (req, res) => {
+  try {
+    const { date, dry_run = false } = req.body || {};
+    const now = date ? new Date(`${date}T00:00:00Z`) : new Date();
+    if (Number.isNaN(now.getTime())) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+    res.json(await runReminders({ now, dryRun: dry_run === true }));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to run reminders", detail: err.message });
+  }
+});
+
+// GET /api/admin/notifications/test  (thông báo đã gửi qua sink "test", trong bộ nhớ)
+app.get("/api/admin/notifications/test", requireRole("admin"), (_req, res) => {
+  const items = getTestOutbox();
+  res.json({ total: items.length, items });
+});
+
+/* ===================== SIMILAR VENUES ===================== */
+const VENUE_COLLECTIONS = { journal: Journals, conference: Conferences };
+
+// Dùng vector của chính document để tìm venue gần nhất (cùng loại hoặc khác loại qua ?target=)
+async function findSimilar(req, res, sourceType) {
+  const label = sourceType === "journal" ? "Journal" : "Conference";
+  try {
+    const target = req.query.target || sourceType;
+    if (!VENUE_COLLECTIONS[target]) {
+      return sendQueryError(res, new QueryError("Invalid query parameters", [
+        { param: "target", message: "target must be one of journal, conference", value: target }
+      ]));
+    }
+    const topk = Math.min(Math.max(parseInt(req.query.topk || "10", 10) || 10, 1), 100);
+    const { filter, prefilter } = buildVectorFilters(target, req.query);
+
+    const { ObjectId } = await import("mongodb");
+    if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: `${label} not found` });
+    const source = await VENUE_COLLECTIONS[sourceType]().findOne({ _id: new ObjectId(req.params.id) });
+    if (!source) return res.status(404).json({ error: `${label} not found` });
+    if (!Array.isArray(source.vector) || !source.vector.length) {
+      return res.status(422).json({ error: `${label} has no vector` });
+    }
+    if (!isCurrentModel(source)) {
+      return res.status(409).json({
+        error: `${label} vector was built with another embedding model`,
+        detail: `${vectorModelOf(source)} ≠ ${getEmbeddingModel().name}; run reembed.js`
+      });
+    }
+
+    const items = await searchByVector(source.vector, {
+      type: target,
+      topk,
+      excludeId: target === sourceType ? source._id : null,
+      filter,
+      prefilter,
+      projection: getProjection(parseBool(req.query.includeVector)),
+    });
+
+    res.json({
+      source: { _id: source._id, type: sourceType, _key: source._key },
+      target,
+      topk,
+      items
+    });
+  } catch (err) {
+    if (err instanceof QueryError) return sendQueryError(res, err);
+    res.status(500).json({ error: "Failed to find similar venues", detail: err.message });
+  }
+}
+
+// GET /api/journals/:id/similar?target=journal|conference&topk=
+app.get("/api/journals/:id/similar", (req, res) => findSimilar(req, res, "journal"));
+
+// GET /api/conferences/:id/similar?target=conference|journal&topk=
+app.get("/api/conferences/:id/similar", (req, res) => findSimilar(req, res, "conference"));
+
+/* ===================== SEMANTIC SEARCH (không gọi LLM) ===================== */
+const SEARCH_TYPES = { journal: ["journal"], conference: ["conference"], all: ["conference", "journal"] };
+
+function translationMode(value) {
+  return value === undefined ? QUERY_TRANSLATION : String(value).toLowerCase();
+}
+
+// Dịch câu hỏi trước khi tìm (xem translate.js); lời gọi LLM tính vào quota token + usage của người gọi
+async function translateForSearch(req, question, { mode, endpoint }) {
+  const { llm, ...translation } = await translateQuery(question, { mode });
+  if (llm) {
+    const tokens = llm.result ? await tokenMeta(llm.prompt, llm.result.answer, llm.result) : {};
+    await logAgentUsage(req, { endpoint, model_id: llm.model_id, result: llm.result, tokens, start: llm.start, error: llm.error });
+  }
+  return translation;
+}
+
+// Search không cần key; chỉ khi sẽ gọi LLM để dịch mới áp rate limit + quota token
+const searchRateLimit = rateLimit({ scope: "search" });
+function limitTranslatedSearch(req, res, next) {
+  const mode = translationMode(req.query.translate);
+  const q = String(req.query.q || "").trim();
+  if (TRANSLATION_MODES.includes(mode) && q && shouldTranslate(q, mode)) return searchRateLimit(req, res, next);
+  next();
+}
+
+// GET /api/search?q=...&type=journal|conference|all&topk=&page=&limit=&translate=off|auto|on&(filters)
+// Filter của journal (quartile, area, ...) chỉ áp dụng cho journal, của conference (deadline_from, ...) cho conference
+app.get("/api/search", limitTranslatedSearch, async (req, res) => {
+  try {
+    const { q, type = "all", includeVector } = req.query;
+    if (!q?.trim()) {
+      return res.status(400).json({ error: "Missing q" });
+    }
+    const types = SEARCH_TYPES[type];
+    if (!types) {
+      return sendQueryError(res, new QueryError("Invalid query parameters", [
+        { param: "type", message: "type must be one of journal, conference, all", value: type }
+      ]));
+    }
+
+    const translate = translationMode(req.query.translate);
+    if (!TRANSLATION_MODES.includes(translate)) {
+      return sendQueryError(res, new QueryError("Invalid query parameters", [
+        { param: "translate", message: `translate must be one of ${TRANSLATION_MODES.join(", ")}`, value: req.query.translate }
+      ]));
+    }
+
+    const topk = Math.min(Math.max(parseInt(req.query.topk || "20", 10) || 20, 1), 100);
+    const page = Math.max(parseInt(req.query.page || "1", 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "10", 10) || 10, 1), 100);
+
+    const filters = Object.fromEntries(types.map(t => [t, buildVectorFilters(t, req.query)]));
+    const translation = await translateForSearch(req, q.trim(), { mode: translate, endpoint: "/api/search" });
+    const result = await search({
+      question: q.trim(),
+      topk,
+      types,
+      filters,
+      rerank: req.query.rerank === undefined ? undefined : parseBool(req.query.rerank),
+      translation,
+      projection: getProjection(parseBool(includeVector)),
+    });
+
+    const hits = types
+      .flatMap(t => result[t].map(hit => ({ type: t, ...hit })))
+      .sort((a, b) => b.score - a.score);
+    const skip = (page - 1) * limit;
+
+    res.json({
+      q: q.trim(),
+      ...((translation.translated || translation.error) && { translation }),
+      type,
+      page,
+      limit,
+      total: hits.length,
+      items: hits.slice(skip, skip + limit)
+    });
+  } catch (err) {
+    if (err instanceof QueryError) return sendQueryError(res, err);
+    res.status(500).json({ error: "Search failed", detail: err.message });
+  }
+});
+
+/* ===================== PAPER → VENUE MATCHING ===================== */
+
+// POST /api/match  { title, abstract, keywords, constraints: { min_quartile, deadline_from, deadline_to, region, max_apc }, topk, justify, model_id }
+app.post("/api/match", rateLimit({ scope: "match" }), async (req, res) => {
+  const start = Date.now();
+  try {
+    const {
+      title = "",
+      abstract = "",
+      keywords = [],
+      constraints = {},
+      type = "all",
+      justify = false,
+      model_id = DEFAULT_MODEL_ID
+    } = req.body || {};
+    if (!String(title).trim() && !String(abstract).trim()) {
+      return res.status(400).json({ error: "Missing title or abstract" });
+    }
+    const types = SEARCH_TYPES[type];
+    const errors = [];
+    if (!types) errors.push({ param: "type", message: "type must be one of journal, conference, all", value: type });
+    if (constraints === null || typeof constraints !== "object" || Array.isArray(constraints)) {
+      errors.push({ param: "constraints", message: "constraints must be an object", value: constraints });
+    }
+    if (errors.length) return sendQueryError(res, new QueryError("Invalid request body", errors));
+    const topk = Math.min(Math.max(parseInt(req.body.topk || "10", 10) || 10, 1), 50);
+
+    const result = await matchVenues({
+      title: String(title),
+      abstract: String(abstract),
+      keywords,
+      constraints,
+      topk,
+      types,
+      justify: justify === true,
+      model_id
+    });
+
+    // Lời giải thích gọi LLM → tính vào quota token ngày + ghi usage như /api/agent
+    if (result.llm) {
+      const { prompt, result: llmResult, error } = result.llm;
+      const tokens = llmResult ? await tokenMeta(prompt, llmResult.answer, llmResult) : {};
+      await logAgentUsage(req, { endpoint: "/api/match", model_id, result: llmResult, tokens, start, error });
+    }
+
+    res.json({
+      journals: result.journals,
+      conferences: result.conferences,
+      meta: {
+        response_time_ms: Date.now() - start,
+        chunks: result.chunks,
+        constraints,
+        ...(result.justification && { justification: result.justification })
+      }
+    });
+  } catch (err) {
+    if (err instanceof QueryError) return sendQueryError(res, err);
+    res.status(500).json({ error: "Match failed", detail: err.message });
+  }
+});
+
 /* ===================== API ngoài để fallback ===================== */
 async function fetchArticles() {
   try {
@@ -257,14 +1131,15 @@ async function fetchArticles() {
 }
 
 /* ===================== Chuẩn hóa context ===================== */
-function buildPrompt(question, conferences = [], journals = []) {
+// structured: đánh số [C1]/[J1] cho từng item và yêu cầu model trả về JSON { answer, citations }
+function buildPrompt(question, conferences = [], journals = [], { structured = false } = {}) {
   let context =
     "Bạn là trợ lý học thuật, trả lời ngắn gọn, trích dẫn tên hội thảo/tạp chí liên quan.\n\n";
 
   if (conferences.length) {
     context += "Danh sách hội thảo:\n";
     conferences.slice(0, 10).forEach((c, i) => {
-      context += `Hội thảo ${i + 1}: 
+      context += `Hội thảo ${structured ? `[${citationId("conference", i)}]` : i + 1}: 
 - Tên: ${c.name || c.title || "Không có"} 
 - Acronym: ${c.acronym || "Không có"} 
 - Địa điểm: ${c.location || "Không có"} 
@@ -280,7 +1155,7 @@ function buildPrompt(question, conferences = [], journals = []) {
   if (journals.length) {
     context += "Danh sách tạp chí:\n";
     journals.slice(0, 10).forEach((j, i) => {
-      context += `Tạp chí ${i + 1}: 
+      context += `Tạp chí ${structured ? `[${citationId("journal", i)}]` : i + 1}: 
 - Tên: ${j.title || "Không có"} 
 - Nhà xuất bản: ${j.publisher || "Không có"} 
 - Lĩnh vực: ${j.areas || "Không có"} 
@@ -292,65 +1167,363 @@ function buildPrompt(question, conferences = [], journals = []) {
   }
 
   context += `\nCâu hỏi: ${question}\n\nHãy trả lời bằng tiếng Việt hoặc ngôn ngữ của câu hỏi.`;
+  if (structured) {
+    context += `\n\nChỉ trả về JSON dạng {"answer": "...", "citations": ["C1", "J2"]}.
+- "answer": câu trả lời, có thể ghi id dạng [C1] ngay sau thông tin lấy từ item đó.
+- "citations": id của mọi hội thảo/tạp chí ở trên mà câu trả lời sử dụng. Không dùng id không có trong danh sách, không bịa thông tin (hạn nộp, địa điểm...) ngoài danh sách.`;
+  }
   return context;
 }
 
+/* ===================== Retrieval cho agent ===================== */
+async function retrieveContext(question, topk, options = {}) {
+  let conferences = [];
+  let journals = [];
+  try {
+    conferences = await conferenceVectorSearch(question, Number(topk), options);
+  } catch (e) {
+    console.error("Conference vector search failed:", e.message);
+  }
+  try {
+    journals = await journalVectorSearch(question, Number(topk), options);
+  } catch (e) {
+    console.error("Journal vector search failed:", e.message);
+  }
+
+  if (!conferences?.length) {
+    const articles = await fetchArticles();
+    conferences = articles.slice(0, topk);
+  }
+
+  return { conferences, journals };
+}
+
+// LLMError → HTTP status: model không hỗ trợ 400, mọi circuit đang mở 503, còn lại 502
+function sendLLMError(res, err) {
+  const status = err.code === "unsupported_model" ? 400 : err.code === "circuit_open" ? 503 : 502;
+  return res.status(status).json({
+    error: err.message,
+    code: err.code,
+    ...(err.attempts !== undefined && { attempts: err.attempts, errors: err.errors })
+  });
+}
+
+// Thông tin provider thực sự trả lời (cho meta)
+function llmMeta(result) {
+  return {
+    provider: result.provider,
+    model: result.model,
+    answered_by: result.model_id,
+    attempts: result.attempts,
+    fallback_used: result.fallback_used,
+    ...(result.errors?.length && { provider_errors: result.errors })
+  };
+}
+
+function countTokens(prompt, answer) {
+  const prompt_tokens = encode(prompt).length;
+  const answer_tokens = encode(typeof answer === "string" ? answer : JSON.stringify(answer)).length;
+  return { tokens_used: prompt_tokens + answer_tokens, prompt_tokens, answer_tokens };
+}
+
+// Token + chi phí: ưu tiên số provider báo về, không có thì ước lượng bằng gpt-tokenizer
+async function tokenMeta(prompt, answer, result) {
+  if (result.usage) {
+    const { prompt_tokens, completion_tokens } = result.usage;
+    return {
+      tokens_used: prompt_tokens + completion_tokens,
+      prompt_tokens,
+      answer_tokens: completion_tokens,
+      cost_usd: result.cost_usd,
+      usage_source: "provider"
+    };
+  }
+  const estimate = countTokens(prompt, answer);
+  const info = await getModelInfo(result.model_id);
+  return {
+    ...estimate,
+    cost_usd: computeCost(info?.pricing, {
+      prompt_tokens: estimate.prompt_tokens,
+      completion_tokens: estimate.answer_tokens
+    }),
+    usage_source: "estimate"
+  };
+}
+
+// Định danh API key trong log usage (id của key, null nếu gọi ẩn danh)
+function apiKeyLabel(req) {
+  return req.apiKey?.id || null;
+}
+
+async function logAgentUsage(req, { endpoint = "/api/agent", model_id, result = {}, tokens = {}, start, stream, session, error }) {
+  await chargeTokens(req, tokens.tokens_used);
+  return recordUsage({
+    endpoint,
+    status: error ? "error" : "ok",
+    model_id,
+    answered_by: result.model_id || null,
+    provider: result.provider || null,
+    model: result.model || null,
+    attempts: result.attempts ?? error?.attempts ?? null,
+    prompt_tokens: tokens.prompt_tokens ?? 0,
+    completion_tokens: tokens.answer_tokens ?? 0,
+    cost_usd: tokens.cost_usd ?? null,
+    usage_source: tokens.usage_source || null,
+    response_time_ms: Date.now() - start,
+    stream: Boolean(stream),
+    session_id: session?._id || null,
+    api_key: apiKeyLabel(req),
+    ip: req.ip,
+    ...(error && { error: error.message, error_code: error.code || null })
+  });
+}
+
+/* ===================== SSE helpers ===================== */
+function wantsStream(req) {
+  if (parseBool(req.query.stream) || req.body?.stream === true) return true;
+  return String(req.headers.accept || "").includes("text/event-stream");
+}
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/* ===================== Sessions (hội thoại nhiều lượt) ===================== */
+// Session gắn với API key (owner) giống subscription; admin xem/xóa được của mọi key
+function sessionOwner(req) {
+  return req.apiKey.role === "admin" ? null : req.apiKey.id;
+}
+
+// POST /api/sessions
+app.post("/api/sessions", requireRole("reader"), async (req, res) => {
+  try {
+    if (!req.apiKey) return res.status(401).json({ error: "API key required" });
+    const { title, model_id = DEFAULT_MODEL_ID } = req.body || {};
+    const session = await createSession({ owner: req.apiKey.id, title, model_id });
+    res.status(201).json(session);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to create session", detail: err.message });
+  }
+});
+
+// GET /api/sessions  (admin: ?all=true để xem của mọi key)
+app.get("/api/sessions", requireRole("reader"), async (req, res) => {
+  try {
+    if (!req.apiKey) return res.status(401).json({ error: "API key required" });
+    const { page, limit: rawLimit } = getPagination(req);
+    const limit = rawLimit || 20;
+    const all = req.apiKey.role === "admin" && parseBool(req.query.all);
+    const { items, total } = await listSessions({ owner: all ? null : req.apiKey.id, skip: (page - 1) * limit, limit });
+    res.json({ page, limit, total, items });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch sessions", detail: err.message });
+  }
+});
+
+// GET /api/sessions/:id
+app.get("/api/sessions/:id", requireRole("reader"), async (req, res) => {
+  try {
+    if (!req.apiKey) return res.status(401).json({ error: "API key required" });
+    const session = await getSession(req.params.id, { owner: sessionOwner(req) });
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    res.json(session);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch session", detail: err.message });
+  }
+});
+
+// DELETE /api/sessions/:id
+app.delete("/api/sessions/:id", requireRole("reader"), async (req, res) => {
+  try {
+    if (!req.apiKey) return res.status(401).json({ error: "API key required" });
+    const deleted = await deleteSession(req.params.id, { owner: sessionOwner(req) });
+    if (!deleted) return res.status(404).json({ error: "Session not found" });
+    res.json({ message: "Session deleted", deleted: { _id: deleted._id, title: deleted.title } });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to delete session", detail: err.message });
+  }
+});
+
 /* ===================== Agent API ===================== */
-app.post("/api/agent", async (req, res) => {
+
+// Chuẩn bị context cho một lượt hỏi: retrieval + (nếu có session) lịch sử và venue đã trích dẫn
+async function prepareAgentTurn(req, { question, topk, session, rerank, structured = false }) {
+  const translation = await translateForSearch(req, question, { mode: QUERY_TRANSLATION, endpoint: "/api/agent" });
+  let { conferences, journals } = await retrieveContext(question, topk, { rerank, translation });
+  let history = [];
+  let history_meta = null;
+
+  if (session) {
+    const cited = await loadCited(session);
+    conferences = mergeByKey(cited.conference, conferences);
+    journals = mergeByKey(cited.journal, journals);
+
+    const built = buildHistory(session);
+    history = built.history;
+    history_meta = { history_tokens: built.history_tokens, dropped_turns: built.dropped_turns };
+  }
+
+  const prompt = buildPrompt(question, conferences, journals, { structured });
+  return { conferences, journals, history, history_meta, prompt };
+}
+
+// cited: truyền sẵn khi đã có trích dẫn có cấu trúc, nếu không thì dò trong câu trả lời
+async function recordTurn(session, { question, answer, model_id, conferences, journals, cited = null }) {
+  if (!session || !answer) return null;
+  cited = cited || findCited(answer, conferences.slice(0, 10), journals.slice(0, 10));
+  await appendTurn(session, { question, answer, model_id, cited });
+  return cited;
+}
+
+app.post("/api/agent", rateLimit({ scope: "agent" }), async (req, res) => {
   const start = Date.now();
+  let model_id = DEFAULT_MODEL_ID;
+  let session = null;
   try {
-    const { question, model_id = DEFAULT_MODEL_ID, topk = 5 } = req.body || {};
+    const { question, session_id, topk = 5, rerank, structured = false, fallback } = req.body || {};
     if (!question?.trim()) {
       return res.status(400).json({ error: "Missing question" });
     }
 
-    let conferences = [];
-    let journals = [];
-    try {
-      conferences = await conferenceVectorSearch(question, Number(topk));
-    } catch (e) {
-      console.error("Conference vector search failed:", e.message);
+    if (session_id) {
+      if (!req.apiKey) return res.status(401).json({ error: "API key required for sessions" });
+      session = await getSession(session_id, { owner: sessionOwner(req) });
+      if (!session) return res.status(404).json({ error: "Session not found" });
     }
-    try {
-      journals = await journalVectorSearch(question, Number(topk));
-    } catch (e) {
-      console.error("Journal vector search failed:", e.message);
+    model_id = req.body.model_id || session?.model_id || DEFAULT_MODEL_ID;
+
+    if (wantsStream(req)) {
+      if (structured) {
+        return res.status(400).json({ error: "Structured answers cannot be streamed" });
+      }
+      return streamAgent(req, res, { question, model_id, topk, session, rerank, fallback, start });
     }
 
-    if (!conferences?.length) {
-      const articles = await fetchArticles();
-      conferences = articles.slice(0, topk);
+    const { conferences, journals, history, history_meta, prompt } =
+      await prepareAgentTurn(req, { question, topk, session, rerank, structured });
+    const result = await callLLM(prompt, model_id, {
+      history,
+      fallback,
+      schema: structured ? CITED_ANSWER_SCHEMA : null
+    });
+    const answer = { provider: result.provider, model: result.model, answer: result.answer };
+    const tokens = await tokenMeta(prompt, answer, result);
+    await logAgentUsage(req, { model_id, result, tokens, start, session });
+
+    let grounded = null;
+    if (structured) {
+      // Chỉ 10 item đầu được đưa vào prompt (xem buildPrompt)
+      grounded = groundAnswer(answer.answer, conferences.slice(0, 10), journals.slice(0, 10));
+      if (!grounded.ok) {
+        return res.status(502).json({ error: grounded.error, model_id, raw: grounded.raw });
+      }
     }
 
-    const prompt = buildPrompt(question, conferences, journals);
-    const answer = await callLLM(prompt, model_id);
+    const cited = await recordTurn(session, {
+      question,
+      answer: grounded ? grounded.answer : answer.answer,
+      model_id,
+      conferences,
+      journals,
+      cited: grounded && {
+        conference: grounded.citations.filter(c => c.type === "conference").map(c => c.doc._key).filter(Boolean),
+        journal: grounded.citations.filter(c => c.type === "journal").map(c => c.doc._key).filter(Boolean)
+      }
+    });
 
     const response_time_ms = Date.now() - start;
-    const prompt_tokens = encode(prompt).length;
-    const answer_tokens = encode(typeof answer === "string" ? answer : JSON.stringify(answer)).length;
-    const tokens_used = prompt_tokens + answer_tokens;
 
     res.json({
       model_id,
-      answer,
+      ...(session && { session_id: session._id, cited }),
+      answer: grounded
+        ? { provider: answer.provider, model: answer.model, answer: grounded.answer }
+        : answer,
+      ...(grounded && {
+        citations: grounded.citations,
+        invalid_citations: grounded.invalid_citations
+      }),
       retrieved: { conference: conferences, journal: journals },
       meta: {
         response_time_ms,
-        tokens_used,
-        prompt_tokens,
-        answer_tokens
+        ...tokens,
+        ...llmMeta(result),
+        ...history_meta
       }
     });
   } catch (e) {
+    if (e instanceof LLMError) {
+      await logAgentUsage(req, { model_id, start, session, error: e });
+      return sendLLMError(res, e);
+    }
     res.status(500).json({ error: e.message });
   }
 });
 
+// Stream: retrieved → delta (từng đoạn text) → meta → done
+async function streamAgent(req, res, { question, model_id, topk, session, rerank, fallback, start }) {
+  const info = await getModelInfo(model_id);
+  if (!info) {
+    return res.status(400).json({ error: `Model_id '${model_id}' không được hỗ trợ` });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+
+  // Client đóng kết nối → hủy request tới provider
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  try {
+    const { conferences, journals, history, history_meta, prompt } =
+      await prepareAgentTurn(req, { question, topk, session, rerank });
+    sendEvent(res, "retrieved", { conference: conferences, journal: journals });
+
+    let answer = "";
+    const result = {};
+    for await (const delta of streamLLM(prompt, model_id, { signal: controller.signal, history, fallback, meta: result })) {
+      answer += delta;
+      sendEvent(res, "delta", { text: delta });
+    }
+    const cited = await recordTurn(session, { question, answer, model_id, conferences, journals });
+    const tokens = await tokenMeta(prompt, answer, result);
+    await logAgentUsage(req, { model_id, result, tokens, start, stream: true, session });
+
+    sendEvent(res, "meta", {
+      model_id,
+      ...llmMeta(result),
+      ...(session && { session_id: session._id, cited }),
+      response_time_ms: Date.now() - start,
+      ...tokens,
+      ...history_meta
+    });
+    sendEvent(res, "done", {});
+  } catch (e) {
+    if (e instanceof LLMError) {
+      await logAgentUsage(req, { model_id, start, stream: true, session, error: e });
+    }
+    if (!controller.signal.aborted) {
+      console.error("❌ Agent stream error:", e.message);
+      sendEvent(res, "error", {
+        error: e.message,
+        ...(e instanceof LLMError && { code: e.code, attempts: e.attempts, errors: e.errors })
+      });
+    }
+  } finally {
+    res.end();
+  }
+}
+
 /* ===================== Boot ===================== */
 if (!process.env.VERCEL) {
   app.listen(PORT, async () => {
     console.log(`➡️ API listening on http://localhost:${PORT}`);
     initEmbedding().catch(e => console.error("Embedding preload failed:", e.message));
+    startReminderScheduler();
   });
 }
 
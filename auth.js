@@ -0,0 +1,136 @@
+// auth.js — API key + phân quyền theo role
+//
+// Key gửi qua header `X-API-Key: <key>` hoặc `Authorization: Bearer <key>`.
+// Chỉ lưu SHA-256 của key trong collection "api_key"; key gốc chỉ trả về một lần lúc tạo.
+// Role: reader < editor < admin. Request không có key được coi là reader (public list/search).
+// ADMIN_API_KEY (env) là key admin khởi tạo, dùng để tạo các key khác.
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+import { getDb } from "./db.js";
+
+export const ROLES = ["reader", "editor", "admin"];
+
+const KEY_PREFIX = "nsk_";
+
+let indexesReady = false;
+async function ApiKeys() {
+  const col = (await getDb()).collection("api_key");
+  if (!indexesReady) {
+    await col.createIndex({ key_hash: 1 }, { unique: true });
+    indexesReady = true;
+  }
+  return col;
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function extractKey(req) {
+  const header = req.get("x-api-key");
+  if (header) return header.trim();
+  const auth = req.get("authorization") || "";
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+export function hasRole(apiKey, role) {
+  const have = ROLES.indexOf(apiKey?.role || "reader");
+  return have >= ROLES.indexOf(role);
+}
+
+/* ===================== Middleware ===================== */
+// Gắn req.apiKey = { id, name, role } nếu có key hợp lệ; key sai/đã thu hồi → 401
+export async function authenticate(req, res, next) {
+  const key = extractKey(req);
+  if (!key) {
+    req.apiKey = null;
+    return next();
+  }
+
+  try {
+    if (process.env.ADMIN_API_KEY && safeEqual(key, process.env.ADMIN_API_KEY)) {
+      req.apiKey = { id: "bootstrap-admin", name: "ADMIN_API_KEY", role: "admin" };
+      return next();
+    }
+
+    const doc = await (await ApiKeys()).findOne({ key_hash: hashKey(key), revoked_time: null });
+    if (!doc) return res.status(401).json({ error: "Invalid or revoked API key" });
+
+    req.apiKey = {
+      id: String(doc._id),
+      name: doc.name,
+      role: doc.role,
+      ...(doc.daily_token_quota != null && { daily_token_quota: doc.daily_token_quota }),
+    };
+    // Không chờ ghi last_used_time
+    ApiKeys()
+      .then(col => col.updateOne({ _id: doc._id }, { $set: { last_used_time: new Date() } }))
+      .catch(err => console.error("❌ api_key last_used_time:", err.message));
+    next();
+  } catch (err) {
+    res.status(500).json({ error: "Failed to authenticate", detail: err.message });
+  }
+}
+
+// Dùng theo từng route: app.post("/x", requireRole("editor"), handler)
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      if (role === "reader") return next();
+      return res.status(401).json({ error: "API key required", required_role: role });
+    }
+    if (!hasRole(req.apiKey, role)) {
+      return res.status(403).json({ error: "Insufficient role", role: req.apiKey.role, required_role: role });
+    }
+    next();
+  };
+}
+
+/* ===================== Quản lý key ===================== */
+function publicKey(doc) {
+  const { key_hash: _hash, ...rest } = doc;
+  return rest;
+}
+
+// daily_token_quota: quota token LLM mỗi ngày riêng cho key (null = mặc định, 0 = không giới hạn)
+export async function createApiKey({ name, role = "reader", daily_token_quota = null, created_by = null }) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const doc = {
+    name: String(name || "").trim(),
+    role,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    key_hash: hashKey(key),
+    daily_token_quota,
+    created_by,
+    created_time: new Date(),
+    last_used_time: null,
+    revoked_time: null,
+  };
+  const result = await (await ApiKeys()).insertOne(doc);
+  return { key, ...publicKey({ _id: result.insertedId, ...doc }) };
+}
+
+export async function listApiKeys({ includeRevoked = false } = {}) {
+  const filter = includeRevoked ? {} : { revoked_time: null };
+  const docs = await (await ApiKeys()).find(filter, { projection: { key_hash: 0 } })
+    .sort({ created_time: -1 })
+    .toArray();
+  return docs;
+}
+
+export async function revokeApiKey(id, { revoked_by = null } = {}) {
+  if (!ObjectId.isValid(id)) return null;
+  const doc = await (await ApiKeys()).findOneAndUpdate(
+    { _id: new ObjectId(id), revoked_time: null },
+    { $set: { revoked_time: new Date(), revoked_by } },
+    { returnDocument: "after", projection: { key_hash: 0 } }
+  );
+  return doc;
+}
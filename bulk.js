@@ -0,0 +1,153 @@
+// bulk.js — ghi nhiều journal / conference trong một request (POST /api/journals/bulk, /api/conferences/bulk)
+//
+// ops: [{ op: "upsert", _id?, doc }, { op: "delete", _id }]
+//  - upsert có _id → cập nhật một phần document đó (giống PUT)
+//  - upsert không có _id → khớp theo _key (kể cả alias của document đã gộp), chưa có thì tạo mới (giống POST)
+// Mỗi op được kiểm tra riêng, op lỗi không chặn các op khác; tất cả ghi bằng một bulkWrite không thứ tự.
+// Kết quả theo thứ tự ops: { index, op, status: created|updated|unchanged|deleted|error, _id?, error?, details? }
+import { ObjectId } from "mongodb";
+import { getDb } from "./db.js";
+import { validate, buildKey, ValidationError } from "./schemas.js";
+import { enqueueEmbedding, embeddingChanged } from "./embeddings.js";
+import { isCurrentModel } from "./embedder.js";
+import { recordHistory, diffDocs } from "./history.js";
+
+export const BULK_LIMIT = Number(process.env.BULK_LIMIT || 500);
+export const BULK_OPS = ["upsert", "delete"];
+
+// Cả request không hợp lệ → route trả 400
+export class BulkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BulkError";
+  }
+}
+
+function hasVector(doc) {
+  return Array.isArray(doc?.vector) && doc.vector.length > 0;
+}
+
+export async function bulkWrite(type, ops, { actor = null, canDelete = false } = {}) {
+  if (!Array.isArray(ops) || !ops.length) throw new BulkError("ops must be a non-empty array");
+  if (ops.length > BULK_LIMIT) throw new BulkError(`At most ${BULK_LIMIT} ops per request`);
+
+  const results = ops.map((item, index) => ({ index, op: item?.op ?? null }));
+  const fail = (i, error, details) => Object.assign(results[i], { status: "error", error, ...(details && { details }) });
+
+  // ===== Kiểm tra từng op =====
+  const planned = [];
+  const targets = new Map(); // id / _key → index op đầu tiên (không cho hai op cùng đích)
+  ops.forEach((item, i) => {
+    if (!item || typeof item !== "object" || !BULK_OPS.includes(item.op)) {
+      return fail(i, `op must be one of ${BULK_OPS.join(", ")}`);
+    }
+    if (item._id !== undefined && !ObjectId.isValid(item._id)) return fail(i, "Invalid _id");
+    const id = item._id !== undefined ? new ObjectId(item._id) : null;
+
+    let plan;
+    if (item.op === "delete") {
+      if (!canDelete) return fail(i, "delete requires the admin role");
+      if (!id) return fail(i, "delete requires _id");
+      plan = { i, kind: "delete", id };
+    } else {
+      try {
+        const value = validate(type, item.doc, { partial: !!id });
+        plan = id ? { i, kind: "update", id, value } : { i, kind: "upsert", key: buildKey(type, value), value };
+      } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+        return fail(i, err.message, err.details);
+      }
+    }
+    const target = plan.id ? `id:${plan.id}` : `key:${plan.key}`;
+    if (targets.has(target)) return fail(i, `Same document as op #${targets.get(target)}`);
+    targets.set(target, i);
+    planned.push(plan);
+  });
+
+  // ===== Document hiện có =====
+  const db = await getDb();
+  const col = db.collection(type);
+  const ids = planned.filter(p => p.id).map(p => p.id);
+  const keys = planned.filter(p => p.key).map(p => p.key);
+  const existing = planned.length
+    ? await col.find(
+        {
+          $or: [
+            { _id: { $in: ids } },
+            { $and: [{ status: { $ne: "merged" } }, { $or: [{ _key: { $in: keys } }, { aliases: { $in: keys } }] }] },
+          ],
+        },
+        { projection: { vector: { $slice: 1 } } }
+      ).toArray()
+    : [];
+  const byId = new Map(existing.map(d => [String(d._id), d]));
+  const byKey = new Map([
+    ...existing.flatMap(d => (d.aliases || []).map(a => [a, d])),
+    ...existing.map(d => [d._key, d]),
+  ]);
+
+  // ===== Lập lệnh ghi =====
+  const now = new Date();
+  const writes = [];
+  for (const p of planned) {
+    const old = p.id ? byId.get(String(p.id)) : byKey.get(p.key);
+    if (p.kind !== "upsert" && !old) {
+      fail(p.i, `${type === "journal" ? "Journal" : "Conference"} not found`);
+      continue;
+    }
+
+    if (p.kind === "delete") {
+      writes.push({ p, old, after: null, status: "deleted", write: { deleteOne: { filter: { _id: old._id } } } });
+    } else if (old) {
+      const after = { ...old, ...p.value };
+      const changed = diffDocs(old, after).map(c => c.field);
+      if (!changed.length) {
+        Object.assign(results[p.i], { status: "unchanged", _id: old._id });
+        continue;
+      }
+      writes.push({
+        p,
+        old,
+        after: { ...after, modified_time: now },
+        status: "updated",
+        write: { updateOne: { filter: { _id: old._id }, update: { $set: { ...p.value, modified_time: now } } } },
+      });
+    } else {
+      // origin: "api" → import.js không soft-delete document này khi nó không có trong feed
+      const doc = { _id: new ObjectId(), ...p.value, _key: p.key, origin: "api", created_time: now, modified_time: now };
+      writes.push({ p, old: null, after: doc, status: "created", write: { insertOne: { document: doc } } });
+    }
+  }
+
+  const failed = new Map();
+  if (writes.length) {
+    try {
+      await col.bulkWrite(writes.map(w => w.write), { ordered: false });
+    } catch (err) {
+      if (!err.writeErrors) throw err;
+      for (const e of [].concat(err.writeErrors)) failed.set(e.index, e.errmsg);
+    }
+  }
+
+  // ===== Kết quả, lịch sử, embedding =====
+  const entries = [];
+  writes.forEach((w, idx) => {
+    if (failed.has(idx)) return fail(w.p.i, `Write failed: ${failed.get(idx)}`);
+    const _id = w.after?._id || w.old._id;
+    const result = Object.assign(results[w.p.i], { status: w.status, _id });
+
+    const op = { created: "create", updated: "update", deleted: "delete" }[w.status];
+    entries.push({ doc_id: _id, op, before: w.old, after: w.after, actor });
+
+    const stale = w.status === "created" || (w.status === "updated" && (!hasVector(w.old) || !isCurrentModel(w.old) || embeddingChanged(type, w.old, w.after)));
+    if (stale) {
+      enqueueEmbedding(type, _id);
+      result.embedding = "queued";
+    }
+  });
+  await recordHistory(db, type, entries);
+
+  const counts = { created: 0, updated: 0, unchanged: 0, deleted: 0, error: 0 };
+  for (const r of results) counts[r.status]++;
+  return { total: ops.length, counts, results };
+}
@@ -0,0 +1,61 @@
+// citations.js — câu trả lời có cấu trúc (JSON) kèm trích dẫn cho /api/agent
+
+// Schema mà model phải tuân theo: câu trả lời + danh sách id đã trích dẫn (C1.., J1..)
+export const CITED_ANSWER_SCHEMA = {
+  type: "object",
+  properties: {
+    answer: { type: "string" },
+    citations: { type: "array", items: { type: "string" } },
+  },
+  required: ["answer", "citations"],
+  additionalProperties: false,
+};
+
+// Id hiển thị trong prompt: C1..Cn cho hội thảo, J1..Jn cho tạp chí
+export function citationId(type, index) {
+  return `${type === "conference" ? "C" : "J"}${index + 1}`;
+}
+
+function parseAnswerJson(text) {
+  const raw = String(text || "").trim();
+  // Một số model vẫn bọc JSON trong ```json ... ```
+  const body = raw.replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+  try {
+    return JSON.parse(body);
+  } catch {
+    const match = body.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    try {
+      return JSON.parse(match[0]);
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Parse + kiểm tra trích dẫn: chỉ chấp nhận id trỏ tới item đã retrieve (và đã đưa vào prompt)
+export function groundAnswer(text, conferences = [], journals = []) {
+  const parsed = parseAnswerJson(text);
+  if (!parsed || typeof parsed.answer !== "string" || !Array.isArray(parsed.citations)) {
+    return { ok: false, error: "Model did not return a valid structured answer", raw: text };
+  }
+
+  const byId = new Map([
+    ...conferences.map((doc, i) => [citationId("conference", i), { type: "conference", doc }]),
+    ...journals.map((doc, i) => [citationId("journal", i), { type: "journal", doc }]),
+  ]);
+
+  const citations = [];
+  const invalid_citations = [];
+  const seen = new Set();
+  for (const c of parsed.citations) {
+    const id = String(c).trim().replace(/^\[|\]$/g, "").toUpperCase();
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const hit = byId.get(id);
+    if (hit) citations.push({ id, ...hit });
+    else invalid_citations.push(String(c));
+  }
+
+  return { ok: true, answer: parsed.answer, citations, invalid_citations };
+}
@@ -0,0 +1,389 @@
+// deadlines.js — theo dõi hạn nộp hội thảo: subscription, nhắc hạn theo lịch (node-cron) và lịch iCal
+//
+// - Ngày của conference được chuẩn hóa thành Date (deadline_at, start_at, end_at — xem schemas.js);
+//   document cũ chỉ có chuỗi được bổ sung bởi backfillDeadlineDates() trước mỗi lần chạy nhắc hạn.
+// - Subscription theo một conference (conference_id) hoặc theo bộ lọc { topic, location } như GET /api/conferences.
+// - Nhắc hạn trước REMINDER_DAYS ngày (mặc định 30,7,1) qua notifier.js; mỗi mốc chỉ gửi một lần
+//   (deadline_reminder có unique index, deadline bị dời → mốc mới được gửi lại).
+import cron from "node-cron";
+import { ObjectId } from "mongodb";
+import { getDb } from "./db.js";
+import { ACTIVE_FILTER, QueryError, buildConferenceFilter, combineFilters } from "./filters.js";
+import { SCHEMAS, ValidationError, parseDate, toUtcDate } from "./schemas.js";
+import { CHANNELS, notify, webhookTargetError } from "./notifier.js";
+
+const DAY_MS = 24 * 3600 * 1000;
+export const REMINDER_DAYS = (process.env.REMINDER_DAYS || "30,7,1")
+  .split(",")
+  .map(Number)
+  .filter(n => Number.isInteger(n) && n >= 0);
+const REMINDER_CRON = process.env.REMINDER_CRON || "0 8 * * *"; // "off" để tắt
+const REMINDER_TZ = process.env.REMINDER_TZ || "UTC";
+const CALENDAR_LIMIT = Number(process.env.CALENDAR_LIMIT || 2000);
+
+const DATE_FIELDS = SCHEMAS.conference.derived; // { deadline: "deadline_at", ... }
+const SUBSCRIPTION_FILTER_PARAMS = ["topic", "location"];
+const CONFERENCE_SUMMARY = { _id: 1, name: 1, title: 1, acronym: 1, location: 1, url: 1, topics: 1, deadline: 1, start_date: 1, end_date: 1, deadline_at: 1, start_at: 1, end_at: 1 };
+
+let indexesReady = false;
+async function collections() {
+  const db = await getDb();
+  const subscriptions = db.collection("deadline_subscription");
+  const reminders = db.collection("deadline_reminder");
+  if (!indexesReady) {
+    await Promise.all([
+      subscriptions.createIndex({ owner: 1, created_time: -1 }),
+      reminders.createIndex({ subscription_id: 1, conference_id: 1, deadline_at: 1, days: 1 }, { unique: true }),
+      db.collection("conference").createIndex({ deadline_at: 1 }),
+    ]);
+    indexesReady = true;
+  }
+  return { db, subscriptions, reminders, conferences: db.collection("conference") };
+}
+
+function startOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function label(conf) {
+  const name = conf.name || conf.title;
+  if (conf.acronym && name) return `${conf.acronym} – ${name}`;
+  return conf.acronym || name || "Conference";
+}
+
+// Date của field ngày, kể cả document cũ chưa có *_at (chuỗi không parse được → null)
+function dateOf(conf, field) {
+  if (conf[DATE_FIELDS[field]] instanceof Date) return conf[DATE_FIELDS[field]];
+  if (!conf[field]) return null;
+  try {
+    return toUtcDate(parseDate(conf[field]));
+  } catch {
+    return null;
+  }
+}
+
+/* ===================== Chuẩn hóa ngày (document cũ) ===================== */
+export async function backfillDeadlineDates({ dryRun = false } = {}) {
+  const { conferences } = await collections();
+  const missing = Object.entries(DATE_FIELDS).map(([field, target]) => ({
+    [field]: { $type: "string", $ne: "" },
+    [target]: { $exists: false },
+  }));
+  const cursor = conferences.find({ $or: missing }, { projection: Object.fromEntries(Object.keys(DATE_FIELDS).map(f => [f, 1])) });
+
+  const report = { scanned: 0, updated: 0, invalid: 0 };
+  let ops = [];
+  for await (const doc of cursor) {
+    report.scanned++;
+    const $set = {};
+    for (const [field, target] of Object.entries(DATE_FIELDS)) {
+      if (typeof doc[field] !== "string" || !doc[field]) continue;
+      $set[target] = dateOf(doc, field);
+      if (!$set[target]) report.invalid++;
+    }
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+    if (ops.length >= 500) {
+      if (!dryRun) await conferences.bulkWrite(ops, { ordered: false });
+      report.updated += ops.length;
+      ops = [];
+    }
+  }
+  if (ops.length && !dryRun) await conferences.bulkWrite(ops, { ordered: false });
+  report.updated += ops.length;
+  return report;
+}
+
+/* ===================== Subscriptions ===================== */
+const EMAIL_RE = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// input = { conference_id | filter: { topic, location }, channel, target, days? }
+export async function createSubscription(owner, input = {}) {
+  const errors = [];
+  const { conference_id, filter, channel = "email", target, days = REMINDER_DAYS } = input;
+
+  if (!!conference_id === !!filter) {
+    errors.push({ field: "conference_id|filter", message: "exactly one of conference_id, filter is required" });
+  }
+  if (conference_id && !ObjectId.isValid(conference_id)) {
+    errors.push({ field: "conference_id", message: "conference_id is not a valid id", value: conference_id });
+  }
+  let cleanFilter = null;
+  if (filter) {
+    if (typeof filter !== "object" || Array.isArray(filter)) {
+      errors.push({ field: "filter", message: `filter must be an object with ${SUBSCRIPTION_FILTER_PARAMS.join(", ")}` });
+    } else {
+      cleanFilter = {};
+      for (const [k, v] of Object.entries(filter)) {
+        if (!SUBSCRIPTION_FILTER_PARAMS.includes(k)) {
+          errors.push({ field: `filter.${k}`, message: `filter supports only ${SUBSCRIPTION_FILTER_PARAMS.join(", ")}` });
+        } else if (typeof v !== "string" || !v.trim()) {
+          errors.push({ field: `filter.${k}`, message: `filter.${k} must be a non-empty string`, value: v });
+        } else {
+          cleanFilter[k] = v.trim();
+        }
+      }
+      if (!Object.keys(cleanFilter).length && !errors.length) errors.push({ field: "filter", message: "filter must not be empty" });
+    }
+  }
+  if (!CHANNELS.includes(channel)) {
+    errors.push({ field: "channel", message: `channel must be one of ${CHANNELS.join(", ")}`, value: channel });
+  } else if (channel === "email" && !EMAIL_RE.test(String(target || ""))) {
+    errors.push({ field: "target", message: "target must be an email address", value: target });
+  } else if (channel === "webhook" && !/^https?:\/\/\S+$/i.test(String(target || ""))) {
+    errors.push({ field: "target", message: "target must be an http(s) URL", value: target });
+  } else if (channel === "webhook") {
+    const invalid = await webhookTargetError(target);
+    if (invalid) errors.push({ field: "target", message: invalid, value: target });
+  }
+  if (!Array.isArray(days) || !days.length || !days.every(d => Number.isInteger(d) && d >= 0 && d <= 365)) {
+    errors.push({ field: "days", message: "days must be a non-empty array of integers between 0 and 365", value: days });
+  }
+  if (errors.length) throw new ValidationError("Invalid subscription", errors);
+
+  const { subscriptions, conferences } = await collections();
+  if (conference_id) {
+    const exists = await conferences.findOne({ _id: new ObjectId(conference_id) }, { projection: { _id: 1 } });
+    if (!exists) throw new ValidationError("Invalid subscription", [{ field: "conference_id", message: "Conference not found", value: conference_id }]);
+  }
+
+  const doc = {
+    owner,
+    conference_id: conference_id ? new ObjectId(conference_id) : null,
+    filter: cleanFilter,
+    channel,
+    target: target ?? null,
+    days: [...new Set(days)].sort((a, b) => b - a),
+    active: true,
+    created_time: new Date(),
+  };
+  const { insertedId } = await subscriptions.insertOne(doc);
+  return { _id: insertedId, ...doc };
+}
+
+// owner = null → tất cả (admin)
+export async function listSubscriptions({ owner = null, limit = 200 } = {}) {
+  const { subscriptions } = await collections();
+  return subscriptions.find(owner ? { owner } : {}).sort({ created_time: -1 }).limit(limit).toArray();
+}
+
+export async function deleteSubscription(id, { owner = null } = {}) {
+  if (!ObjectId.isValid(id)) return null;
+  const { subscriptions } = await collections();
+  return subscriptions.findOneAndDelete({ _id: new ObjectId(id), ...(owner && { owner }) });
+}
+
+/* ===================== Nhắc hạn ===================== */
+function reminderMessage(sub, conf, days) {
+  const deadline = conf.deadline || dateOf(conf, "deadline").toISOString().slice(0, 10);
+  const when = days === 0 ? "today" : `in ${days} day${days === 1 ? "" : "s"}`;
+  const lines = [
+    `${label(conf)}`,
+    `Submission deadline: ${deadline} (${when})`,
+    conf.start_date && `Conference: ${conf.start_date}${conf.end_date ? ` → ${conf.end_date}` : ""}`,
+    conf.location && `Location: ${conf.location}`,
+    conf.url && `Website: ${conf.url}`,
+    "",
+    sub.conference_id ? "You are subscribed to this conference." : `Matched your subscription: ${Object.entries(sub.filter).map(([k, v]) => `${k}=${v}`).join(", ")}`,
+  ];
+  return {
+    channel: sub.channel,
+    target: sub.target,
+    subject: `Deadline ${when}: ${conf.acronym || conf.name || conf.title}`,
+    text: lines.filter(x => x !== null && x !== undefined && x !== false).join("\n"),
+    payload: {
+      event: "deadline_reminder",
+      days_left: days,
+      subscription_id: sub._id,
+      conference: { _id: conf._id, name: conf.name, acronym: conf.acronym, deadline, start_date: conf.start_date, location: conf.location, url: conf.url },
+    },
+  };
+}
+
+// Gửi nhắc hạn cho các conference có deadline đúng N ngày sau `now` (N ∈ days của subscription)
+export async function runReminders({ now = new Date(), dryRun = false } = {}) {
+  const { subscriptions, reminders, conferences } = await collections();
+  const report = { date: startOfUtcDay(now).toISOString().slice(0, 10), dry_run: dryRun, backfill: null, due: 0, sent: 0, skipped: 0, failed: 0, errors: [] };
+  report.backfill = await backfillDeadlineDates({ dryRun });
+
+  const subs = await subscriptions.find({ active: true }).toArray();
+  const today = startOfUtcDay(now).getTime();
+
+  for (const sub of subs) {
+    const windows = sub.days.map(days => ({
+      days,
+      from: new Date(today + days * DAY_MS),
+      to: new Date(today + (days + 1) * DAY_MS),
+    }));
+    let scope;
+    try {
+      scope = sub.conference_id ? { _id: sub.conference_id } : buildConferenceFilter(sub.filter);
+    } catch (err) {
+      if (!(err instanceof QueryError)) throw err;
+      report.errors.push({ subscription_id: sub._id, error: err.message });
+      continue;
+    }
+
+    const due = await conferences.find(
+      combineFilters(ACTIVE_FILTER, scope, { $or: windows.map(w => ({ deadline_at: { $gte: w.from, $lt: w.to } })) }),
+      { projection: CONFERENCE_SUMMARY }
+    ).toArray();
+
+    for (const conf of due) {
+      const { days } = windows.find(w => conf.deadline_at >= w.from && conf.deadline_at < w.to);
+      report.due++;
+      if (dryRun) continue;
+
+      const key = { subscription_id: sub._id, conference_id: conf._id, deadline_at: conf.deadline_at, days };
+      try {
+        await reminders.insertOne({ ...key, channel: sub.channel, target: sub.target, sent_time: new Date() });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        report.skipped++; // đã gửi mốc này
+        continue;
+      }
+      try {
+        await notify(reminderMessage(sub, conf, days));
+        report.sent++;
+      } catch (err) {
+        await reminders.deleteOne(key); // cho phép gửi lại ở lần chạy sau
+        report.failed++;
+        report.errors.push({ subscription_id: sub._id, conference_id: conf._id, error: err.message });
+      }
+    }
+  }
+  return report;
+}
+
+let scheduledTask = null;
+export function startReminderScheduler() {
+  if (REMINDER_CRON === "off" || scheduledTask) return scheduledTask;
+  if (!cron.validate(REMINDER_CRON)) {
+    console.error(`❌ Invalid REMINDER_CRON "${REMINDER_CRON}", deadline reminders disabled`);
+    return null;
+  }
+  scheduledTask = cron.schedule(REMINDER_CRON, async () => {
+    try {
+      const r = await runReminders();
+      console.log(`⏰ Deadline reminders ${r.date}: due ${r.due} | sent ${r.sent} | skipped ${r.skipped} | failed ${r.failed}`);
+    } catch (err) {
+      console.error("❌ Deadline reminders failed:", err.message);
+    }
+  }, { timezone: REMINDER_TZ });
+  console.log(`⏰ Deadline reminders scheduled (${REMINDER_CRON} ${REMINDER_TZ}, ${REMINDER_DAYS.join("/")} days)`);
+  return scheduledTask;
+}
+
+export function getReminderInfo() {
+  return { cron: REMINDER_CRON, timezone: REMINDER_TZ, days: REMINDER_DAYS, scheduled: !!scheduledTask };
+}
+
+/* ===================== iCalendar ===================== */
+function icsText(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function icsDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+function icsStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// RFC 5545: dòng dài hơn 75 byte được gập, dòng tiếp theo bắt đầu bằng dấu cách
+function fold(line) {
+  const out = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > 75) {
+      out.push(current);
+      current = " ";
+      bytes = 1;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join("\r\n");
+}
+
+function vevent({ uid, start, end, summary, description, location, url, stamp }) {
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${icsStamp(stamp)}`,
+    `DTSTART;VALUE=DATE:${icsDate(start)}`,
+    `DTEND;VALUE=DATE:${icsDate(end)}`,
+    `SUMMARY:${icsText(summary)}`,
+    description && `DESCRIPTION:${icsText(description)}`,
+    location && `LOCATION:${icsText(location)}`,
+    url && `URL:${url}`,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ].filter(Boolean);
+}
+
+export const CALENDAR_EVENTS = ["deadline", "conference"];
+
+// Lịch các conference (active) theo filter → chuỗi .ics; events: deadline (hạn nộp) và/hoặc conference (ngày tổ chức)
+// upcoming: chỉ các sự kiện chưa qua (hạn nộp từ hôm nay UTC, hội thảo chưa kết thúc); false → cả quá khứ
+export async function buildCalendar(filter, { events = CALENDAR_EVENTS, name = "Conference deadlines", upcoming = true } = {}) {
+  const { conferences } = await collections();
+  const from = upcoming ? startOfUtcDay(new Date()) : null;
+  const hasDate = from
+    ? {
+        $or: [
+          events.includes("deadline") && { deadline_at: { $gte: from } },
+          events.includes("conference") && { end_at: { $gte: from } },
+          events.includes("conference") && { start_at: { $gte: from } },
+        ].filter(Boolean),
+      }
+    : { $or: [{ deadline: { $nin: [null, ""] } }, { start_date: { $nin: [null, ""] } }] };
+  const docs = await conferences
+    .find(combineFilters(ACTIVE_FILTER, filter, hasDate), { projection: { ...CONFERENCE_SUMMARY, modified_time: 1 } })
+    .sort({ deadline_at: 1, _id: 1 })
+    .limit(CALENDAR_LIMIT)
+    .toArray();
+
+  const now = new Date();
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//RPA Research//Conference deadlines//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(name)}`,
+  ];
+  for (const conf of docs) {
+    const stamp = conf.modified_time instanceof Date ? conf.modified_time : now;
+    const common = { location: conf.location, url: conf.url, stamp };
+    const deadline = dateOf(conf, "deadline");
+    const start = dateOf(conf, "start_date");
+    const end = dateOf(conf, "end_date");
+
+    if (events.includes("deadline") && deadline && !(from && deadline < from)) {
+      lines.push(...vevent({
+        ...common,
+        uid: `${conf._id}-deadline@rpa-research`,
+        start: deadline,
+        end: new Date(deadline.getTime() + DAY_MS),
+        summary: `Deadline: ${label(conf)}`,
+        description: [conf.start_date && `Conference: ${conf.start_date}${conf.end_date ? ` → ${conf.end_date}` : ""}`, conf.url].filter(Boolean).join("\n"),
+      }));
+    }
+    if (events.includes("conference") && start && !(from && (end && end >= start ? end : start) < from)) {
+      lines.push(...vevent({
+        ...common,
+        uid: `${conf._id}-event@rpa-research`,
+        start,
+        end: new Date((end && end >= start ? end : start).getTime() + DAY_MS), // DTEND không tính ngày cuối
+        summary: label(conf),
+        description: [conf.deadline && `Submission deadline: ${conf.deadline}`, conf.url].filter(Boolean).join("\n"),
+      }));
+    }
+  }
+  lines.push("END:VCALENDAR");
+  return { count: docs.length, ics: lines.map(fold).join("\r\n") + "\r\n" };
+}
@@ -0,0 +1,343 @@
+// dedup.js — phát hiện và gộp bản ghi trùng (journal / conference)
+//
+// Ứng viên trùng được tìm theo "block" rẻ rồi mới so vector:
+//  - normalized_key: tên đã chuẩn hóa (bỏ dấu, hoa/thường, dấu câu, năm, "15th", "Proceedings of")
+//  - issn: journal có chung ISSN/eISSN (bỏ định dạng)
+//  - acronym: conference cùng acronym (bỏ năm) và vector gần nhau (cosine ≥ DEDUP_VECTOR_THRESHOLD)
+// Gộp: document đích giữ giá trị của nó, field trống lấy từ bản trùng, field mảng lấy hợp;
+// bản trùng được đánh dấu status: "merged" + merged_into, _key của nó lưu vào `aliases` của đích
+// để import.js ghi các record mang key cũ vào đúng document đã gộp.
+import { ObjectId } from "mongodb";
+import { getDb } from "./db.js";
+import { ACTIVE_FILTER } from "./filters.js";
+import { searchByVector } from "./search.js";
+import { invalidateLocalIndex } from "./vectorstore.js";
+import { refreshEmbedding } from "./embeddings.js";
+import { vectorModelOf, isCurrentModel } from "./embedder.js";
+import { recordHistory } from "./history.js";
+
+const VECTOR_THRESHOLD = Number(process.env.DEDUP_VECTOR_THRESHOLD || 0.92);
+
+export const DEDUP_TYPES = ["journal", "conference"];
+
+// Lỗi nghiệp vụ khi merge → route trả 400/404
+export class MergeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "MergeError";
+    this.status = status;
+  }
+}
+
+/* ===================== Chuẩn hóa ===================== */
+export function normalizeName(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[̀-ͯ]/g, "")
+    .replace(/đ/gi, "d")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/'\d{2}\b/g, " ")
+    .replace(/\b(19|20)\d{2}\b/g, " ")
+    .replace(/\b\d+(st|nd|rd|th)\b/g, " ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()
+    .replace(/^(proceedings of (the )?|the )/, "")
+    .replace(/\s+/g, " ");
+}
+
+function normalizeAcronym(value) {
+  return String(value || "")
+    .toUpperCase()
+    .replace(/'\d{2}\b/g, "")
+    .replace(/\b(19|20)\d{2}\b/g, "")
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+function issnsOf(doc) {
+  return [doc.issn, doc.eissn]
+    .flat()
+    .filter(Boolean)
+    .flatMap(v => String(v).split(/[,;\s]+/))
+    .map(v => v.replace(/[^\dxX]/g, "").toUpperCase())
+    .filter(v => v.length === 8 && v !== "00000000");
+}
+
+function nameKey(type, doc) {
+  return normalizeName(type === "journal" ? doc.title || doc._key : doc.name || doc.title || doc._key);
+}
+
+// Cosine giữa vector của hai document; vector của hai model khác nhau không so được → null
+function similarity(docA, docB) {
+  const a = docA?.vector;
+  const b = docB?.vector;
+  if (vectorModelOf(docA) !== vectorModelOf(docB)) return null;
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || !a.length) return null;
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(na * nb) || 1);
+}
+
+/* ===================== Tìm ứng viên ===================== */
+const SUMMARY_PROJECTION = { _key: 1, title: 1, name: 1, acronym: 1, issn: 1, eissn: 1, publisher: 1, origin: 1 };
+
+// Union-find trên _id → các cụm trùng
+function clusterPairs(pairs) {
+  const parent = new Map();
+  const find = x => {
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  for (const { a, b } of pairs) {
+    for (const x of [a, b]) if (!parent.has(x)) parent.set(x, x);
+    parent.set(find(a), find(b));
+  }
+
+  const clusters = new Map();
+  for (const p of pairs) {
+    const root = find(p.a);
+    const c = clusters.get(root) || { ids: new Set(), reasons: new Set(), similarity: null };
+    c.ids.add(p.a);
+    c.ids.add(p.b);
+    c.reasons.add(p.reason);
+    if (p.similarity != null) c.similarity = Math.max(c.similarity ?? -1, p.similarity);
+    clusters.set(root, c);
+  }
+  return [...clusters.values()];
+}
+
+function blockPairs(blocks, reason) {
+  const pairs = [];
+  for (const ids of blocks.values()) {
+    if (ids.length < 2) continue;
+    for (let i = 1; i < ids.length; i++) pairs.push({ a: ids[0], b: ids[i], reason });
+  }
+  return pairs;
+}
+
+function addToBlock(blocks, key, id) {
+  if (!key) return;
+  const ids = blocks.get(key) || [];
+  ids.push(id);
+  blocks.set(key, ids);
+}
+
+export async function findInCollection(db, type, { threshold }) {
+  const col = db.collection(type);
+  const docs = await col.find(ACTIVE_FILTER, { projection: SUMMARY_PROJECTION }).toArray();
+  const byId = new Map(docs.map(d => [String(d._id), d]));
+
+  const byName = new Map();
+  const byIssn = new Map();
+  const byAcronym = new Map();
+  for (const d of docs) {
+    const id = String(d._id);
+    addToBlock(byName, nameKey(type, d), id);
+    if (type === "journal") for (const issn of new Set(issnsOf(d))) addToBlock(byIssn, issn, id);
+    if (type === "conference") addToBlock(byAcronym, normalizeAcronym(d.acronym), id);
+  }
+
+  const pairs = [...blockPairs(byName, "normalized_key"), ...blockPairs(byIssn, "issn")];
+
+  // Cùng acronym chưa đủ (vd. "ICC") → chỉ nhận khi vector gần nhau
+  const acronymIds = [...byAcronym.values()].filter(ids => ids.length > 1).flat();
+  if (acronymIds.length) {
+    const vectors = new Map(
+      (await col.find({ _id: { $in: acronymIds.map(id => byId.get(id)._id) } }, { projection: { vector: 1, vector_model: 1 } }).toArray())
+        .map(d => [String(d._id), d])
+    );
+    for (const ids of byAcronym.values()) {
+      for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) {
+          const score = similarity(vectors.get(ids[i]), vectors.get(ids[j]));
+          if (score != null && score >= threshold) {
+            pairs.push({ a: ids[i], b: ids[j], reason: "acronym+vector", similarity: score });
+          }
+        }
+      }
+    }
+  }
+
+  return clusterPairs(pairs).map(c => ({
+    type,
+    reasons: [...c.reasons],
+    similarity: c.similarity,
+    items: [...c.ids].map(id => byId.get(id)),
+  }));
+}
+
+// Danh sách cụm trùng của các collection
+export async function findDuplicates({ types = DEDUP_TYPES, threshold = VECTOR_THRESHOLD, limit = 100 } = {}) {
+  const db = await getDb();
+  const groups = [];
+  for (const type of types) groups.push(...await findInCollection(db, type, { threshold }));
+  groups.sort((a, b) => b.items.length - a.items.length || (b.similarity ?? 0) - (a.similarity ?? 0));
+  return { total: groups.length, threshold, groups: groups.slice(0, limit) };
+}
+
+// Ứng viên trùng của một document: cùng block + hàng xóm vector gần (score Atlas = (1 + cos) / 2)
+export async function findDuplicatesOf(type, id, { threshold = VECTOR_THRESHOLD, topk = 10 } = {}) {
+  const col = (await getDb()).collection(type);
+  const doc = await col.findOne({ _id: new ObjectId(id) });
+  if (!doc) return null;
+
+  const or = [];
+  const key = nameKey(type, doc);
+  const issns = issnsOf(doc);
+  if (type === "journal" && issns.length) {
+    const patterns = issns.map(x => new RegExp(`${x.slice(0, 4)}-?${x.slice(4)}`, "i"));
+    or.push({ issn: { $in: patterns } }, { eissn: { $in: patterns } });
+  }
+  const acronym = type === "conference" ? normalizeAcronym(doc.acronym) : "";
+  if (acronym) or.push({ acronym: new RegExp(`^\\s*${acronym}\\b`, "i") });
+  const blockDocs = or.length
+    ? await col.find({ $and: [ACTIVE_FILTER, { _id: { $ne: doc._id } }, { $or: or }] }, { projection: { ...SUMMARY_PROJECTION, vector: 1, vector_model: 1 } })
+      .limit(200)
+      .toArray()
+    : [];
+
+  const candidates = new Map();
+  const add = (d, reason, similarity) => {
+    const c = candidates.get(String(d._id)) || { ...d, reasons: [], similarity: null };
+    delete c.vector;
+    delete c.vector_model;
+    if (!c.reasons.includes(reason)) c.reasons.push(reason);
+    if (similarity != null) c.similarity = Math.max(c.similarity ?? -1, similarity);
+    candidates.set(String(d._id), c);
+  };
+
+  for (const d of blockDocs) {
+    const score = similarity(doc, d);
+    if (nameKey(type, d) === key) add(d, "normalized_key", score);
+    if (type === "journal" && issnsOf(d).some(x => issns.includes(x))) add(d, "issn", score);
+    if (acronym && normalizeAcronym(d.acronym) === acronym && score >= threshold) {
+      add(d, "acronym+vector", score);
+    }
+  }
+  // Cùng tên chuẩn hóa nhưng không có ISSN/acronym chung
+  const sameName = await col.find(
+    { $and: [ACTIVE_FILTER, { _id: { $ne: doc._id } }, { [type === "journal" ? "title" : "name"]: new RegExp(key.split(" ").map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\W+"), "i") }] },
+    { projection: { ...SUMMARY_PROJECTION, vector: 1, vector_model: 1 } }
+  ).limit(50).toArray();
+  for (const d of sameName) if (nameKey(type, d) === key) add(d, "normalized_key", similarity(doc, d));
+
+  // Vector của model cũ không so được với index hiện tại (chờ reembed.js)
+  if (Array.isArray(doc.vector) && doc.vector.length && isCurrentModel(doc)) {
+    const hits = await searchByVector(doc.vector, { type, topk, excludeId: doc._id, projection: SUMMARY_PROJECTION });
+    for (const h of hits) {
+      const cos = 2 * h.score - 1;
+      if (cos >= threshold) {
+        const { score: _score, ...d } = h;
+        add(d, "vector", cos);
+      }
+    }
+  }
+
+  const { vector: _vector, ...source } = doc;
+  return {
+    type,
+    source,
+    threshold,
+    candidates: [...candidates.values()].sort((a, b) => (b.similarity ?? 0) - (a.similarity ?? 0)),
+  };
+}
+
+/* ===================== Merge ===================== */
+const ARRAY_FIELDS = ["areas", "categories", "topics", "issn", "eissn"];
+// Field hệ thống, không gộp
+const SYSTEM_FIELDS = new Set([
+  "_id", "_key", "vector", "vector_model", "vector_dim", "content_hash", "alias_hashes", "created_time", "modified_time", "origin", "status",
+  "removed_time", "missing_since", "last_seen_time", "aliases", "merged_from", "merged_into", "merged_time",
+]);
+
+function isEmptyValue(v) {
+  return v === undefined || v === null || v === "" || (Array.isArray(v) && !v.length);
+}
+
+function toArray(v) {
+  if (isEmptyValue(v)) return [];
+  return Array.isArray(v) ? v : [v];
+}
+
+// Giá trị gộp cho document đích; fields: { field: id của document lấy giá trị } để chọn tay
+export function combineFields(target, sources, fields = {}) {
+  const all = [target, ...sources];
+  const set = {};
+  const keys = new Set(all.flatMap(d => Object.keys(d)).filter(k => !SYSTEM_FIELDS.has(k)));
+
+  for (const k of keys) {
+    if (fields[k] !== undefined) {
+      const from = all.find(d => String(d._id) === String(fields[k]));
+      if (from && !isEmptyValue(from[k]) && JSON.stringify(from[k]) !== JSON.stringify(target[k])) set[k] = from[k];
+      continue;
+    }
+    if (ARRAY_FIELDS.includes(k)) {
+      const union = [...new Set(all.flatMap(d => toArray(d[k])))];
+      if (union.length !== toArray(target[k]).length) set[k] = union;
+      continue;
+    }
+    if (isEmptyValue(target[k])) {
+      const from = sources.find(d => !isEmptyValue(d[k]));
+      if (from) set[k] = from[k];
+    }
+  }
+  return set;
+}
+
+// Gộp sourceIds vào targetId → document đích sau khi gộp
+export async function mergeVenues({ type, targetId, sourceIds, fields = {}, actor = null }) {
+  if (!DEDUP_TYPES.includes(type)) throw new MergeError(`type must be one of ${DEDUP_TYPES.join(", ")}`);
+  const ids = [targetId, ...(sourceIds || [])].map(String);
+  if (!sourceIds?.length) throw new MergeError("source_ids must be a non-empty array");
+  if (!ids.every(id => ObjectId.isValid(id))) throw new MergeError("Invalid id");
+  if (new Set(ids).size !== ids.length) throw new MergeError("target_id and source_ids must be distinct");
+  for (const [field, id] of Object.entries(fields || {})) {
+    if (!ids.includes(String(id))) throw new MergeError(`fields.${field} must reference target_id or one of source_ids`);
+  }
+
+  const db = await getDb();
+  const col = db.collection(type);
+  const docs = await col.find({ _id: { $in: ids.map(id => new ObjectId(id)) } }).toArray();
+  const target = docs.find(d => String(d._id) === String(targetId));
+  const sources = docs.filter(d => d !== target);
+  if (!target || sources.length !== sourceIds.length) throw new MergeError("Document not found", 404);
+  const merged = [target, ...sources].find(d => d.status === "merged");
+  if (merged) throw new MergeError(`${merged._id} is already merged into ${merged.merged_into}`);
+
+  const now = new Date();
+  const set = combineFields(target, sources, fields);
+  const aliases = [...new Set([
+    ...(target.aliases || []),
+    ...sources.flatMap(d => [d._key, ...(d.aliases || [])]),
+  ].filter(k => k && k !== target._key))];
+  const mergedFrom = sources.map(d => ({ _id: d._id, _key: d._key, merged_time: now, merged_by: actor }));
+
+  const doc = await col.findOneAndUpdate(
+    { _id: target._id },
+    {
+      $set: { ...set, aliases, modified_time: now },
+      $push: { merged_from: { $each: mergedFrom } },
+    },
+    { returnDocument: "after" }
+  );
+  const mergedSet = { status: "merged", merged_into: target._id, merged_time: now, modified_time: now };
+  await col.updateMany({ _id: { $in: sources.map(d => d._id) } }, { $set: mergedSet });
+  invalidateLocalIndex(type);
+  await recordHistory(db, type, [
+    { doc_id: target._id, op: "merge", before: target, after: doc, actor },
+    ...sources.map(d => ({ doc_id: d._id, op: "merge", before: d, after: { ...d, ...mergedSet }, actor })),
+  ]);
+
+  const embedding = await refreshEmbedding(type, doc, { before: target });
+  const { vector: _vector, ...rest } = doc;
+  return { merged: rest, merged_ids: sources.map(d => d._id), changed_fields: Object.keys(set), embedding };
+}
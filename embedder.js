@@ -0,0 +1,122 @@
+// embedder.js — model embedding local (@xenova/transformers), chọn bằng EMBEDDING_MODEL
+//
+// EMBEDDING_MODEL = key trong EMBEDDING_MODELS (vd. multilingual-e5-small) hoặc id model Hugging Face bất kỳ.
+// Mỗi document lưu vector kèm vector_model (id model) và vector_dim; document cũ không có vector_model
+// được coi là của LEGACY_EMBEDDING_MODEL. Vector search chỉ so với vector của model hiện tại
+// (vector của model khác không cùng không gian) → đổi model thì chạy `node reembed.js` để embed lại.
+// @xenova/transformers (kèm sharp native) chỉ được import khi load model, không phải khi import module này.
+
+export const LEGACY_EMBEDDING_MODEL = "Xenova/all-MiniLM-L6-v2";
+
+// prefix: model e5 cần "query: " / "passage: " trước văn bản
+export const EMBEDDING_MODELS = {
+  "all-MiniLM-L6-v2": { id: LEGACY_EMBEDDING_MODEL, dim: 384, multilingual: false },
+  "paraphrase-multilingual-MiniLM-L12-v2": {
+    id: "Xenova/paraphrase-multilingual-MiniLM-L12-v2",
+    dim: 384,
+    multilingual: true,
+  },
+  "multilingual-e5-small": {
+    id: "Xenova/multilingual-e5-small",
+    dim: 384,
+    multilingual: true,
+    prefix: { query: "query: ", passage: "passage: " },
+  },
+  "multilingual-e5-base": {
+    id: "Xenova/multilingual-e5-base",
+    dim: 768,
+    multilingual: true,
+    prefix: { query: "query: ", passage: "passage: " },
+  },
+};
+
+function resolveModel(name) {
+  const key = Object.keys(EMBEDDING_MODELS).find(k => k === name || EMBEDDING_MODELS[k].id === name);
+  if (key) return { key, ...EMBEDDING_MODELS[key] };
+  // Model ngoài registry: chiều lấy từ vector đầu tiên, EMBEDDING_MULTILINGUAL=true nếu đa ngôn ngữ
+  return { key: null, id: name, dim: null, multilingual: String(process.env.EMBEDDING_MULTILINGUAL).toLowerCase() === "true" };
+}
+
+const model = resolveModel(process.env.EMBEDDING_MODEL || "all-MiniLM-L6-v2");
+
+export function getEmbeddingModel() {
+  return { name: model.id, key: model.key, dim: model.dim, multilingual: model.multilingual };
+}
+
+/* ===================== Load ===================== */
+let embedder = null;
+let embedderLoading = null;
+export async function initEmbedding() {
+  if (!embedder) {
+    // Các lời gọi đồng thời dùng chung một lần load
+    if (!embedderLoading) {
+      console.log(`⏳ Loading embedder: ${model.id} ...`);
+      embedderLoading = import("@xenova/transformers")
+        .then(({ pipeline }) => pipeline("feature-extraction", model.id))
+        .then(p => {
+          console.log("✅ Embedder ready");
+          return p;
+        })
+        .finally(() => {
+          embedderLoading = null;
+        });
+    }
+    embedder = await embedderLoading;
+  }
+  return true;
+}
+
+export function isEmbeddingReady() {
+  return !!embedder;
+}
+
+/* ===================== Embed ===================== */
+function checkDim(vector) {
+  if (!model.dim) model.dim = vector.length;
+  else if (vector.length !== model.dim) {
+    throw new Error(`Embedding model ${model.id} returned dim ${vector.length}, expected ${model.dim}`);
+  }
+  return vector;
+}
+
+// Hàm tạo embedding cho câu hỏi
+export async function embed(text) {
+  if (!embedder) await initEmbedding();
+  const output = await embedder(`${model.prefix?.query || ""}${text}`, { pooling: "mean", normalize: true });
+  return checkDim(Array.from(output.data));
+}
+
+// Embedding cho nhiều đoạn văn bản (document), chia batch nhỏ để giới hạn bộ nhớ
+const EMBED_BATCH_SIZE = 25;
+export async function embedTexts(texts) {
+  if (!embedder) await initEmbedding();
+  const prefix = model.prefix?.passage || "";
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    const batch = texts.slice(i, i + EMBED_BATCH_SIZE).map(t => `${prefix}${t}`);
+    const output = await embedder(batch, { pooling: "mean", normalize: true });
+    vectors.push(...batch.map((_, j) => checkDim(Array.from(output[j]))));
+  }
+  return vectors;
+}
+
+/* ===================== Metadata trên document ===================== */
+// $set khi ghi vector của model hiện tại
+export function vectorFields(vector) {
+  return { vector, vector_model: model.id, vector_dim: vector.length };
+}
+
+export function vectorModelOf(doc) {
+  return doc?.vector_model || LEGACY_EMBEDDING_MODEL;
+}
+
+export function isCurrentModel(doc) {
+  return vectorModelOf(doc) === model.id;
+}
+
+// Query Mongo: document có vector_model là model hiện tại ({ $in: [..., null] } khớp cả khi thiếu field)
+export function currentModelFilter() {
+  return model.id === LEGACY_EMBEDDING_MODEL
+    ? { vector_model: { $in: [model.id, null] } }
+    : { vector_model: model.id };
+}
@@ -0,0 +1,302 @@
+// embeddings.js — giữ vector của journal/conference khớp với nội dung khi ghi qua REST
+//
+// POST/PUT gọi refreshEmbedding(): nếu embedder đã load thì embed ngay (đồng bộ),
+// chưa load thì đưa vào hàng đợi chạy nền. Hàng đợi chỉ nằm trong bộ nhớ (mất khi restart
+// hoặc khi instance serverless bị dừng) → dùng backfillEmbeddings() để bù các document thiếu vector.
+// Vector của model khác EMBEDDING_MODEL (xem embedder.js) bị coi là cũ: embeddingStats() phát hiện,
+// migrateEmbeddings() + cutoverEmbeddings() (CLI reembed.js) embed lại mà không đụng vector server đang dùng.
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+import { getDb } from "./db.js";
+import {
+  embedTexts,
+  initEmbedding,
+  isEmbeddingReady,
+  vectorFields,
+  isCurrentModel,
+  currentModelFilter,
+  getEmbeddingModel,
+  LEGACY_EMBEDDING_MODEL,
+} from "./embedder.js";
+import { invalidateLocalIndex } from "./vectorstore.js";
+import { EMBED_FIELDS, embeddingText } from "./schemas.js";
+
+export const EMBED_TYPES = ["journal", "conference"];
+
+const BATCH_SIZE = 25;
+
+export const MISSING_VECTOR_FILTER = {
+  $or: [{ vector: { $exists: false } }, { vector: null }, { vector: { $size: 0 } }],
+};
+
+// Thiếu vector hoặc vector của model khác → cần embed lại
+function staleVectorFilter() {
+  return { $or: [...MISSING_VECTOR_FILTER.$or, { $nor: [currentModelFilter()] }] };
+}
+
+function hasVector(doc) {
+  return Array.isArray(doc.vector) && doc.vector.length > 0;
+}
+
+async function writeVectors(type, docs) {
+  const vectors = await embedTexts(docs.map(d => embeddingText(d, EMBED_FIELDS[type])));
+  const col = (await getDb()).collection(type);
+  await col.bulkWrite(docs.map((d, i) => ({
+    updateOne: { filter: { _id: d._id }, update: { $set: vectorFields(vectors[i]) } },
+  })));
+  invalidateLocalIndex(type);
+  return vectors;
+}
+
+/* ===================== Hàng đợi nền ===================== */
+const queue = new Map(); // "type:id" → { type, id }
+let draining = null;
+
+async function drain() {
+  try {
+    await initEmbedding();
+  } catch (err) {
+    // Giữ nguyên hàng đợi, lần enqueue sau sẽ thử lại
+    console.error("❌ Embedding queue: embedder failed to load:", err.message);
+    return;
+  }
+  while (queue.size) {
+    const [key, { type, id }] = queue.entries().next().value;
+    queue.delete(key);
+    try {
+      // Đọc lại document lúc xử lý để luôn embed nội dung mới nhất
+      const doc = await (await getDb()).collection(type).findOne({ _id: new ObjectId(id) }, { projection: { vector: 0 } });
+      if (doc) await writeVectors(type, [doc]);
+    } catch (err) {
+      console.error(`❌ Embedding queue: ${type} ${id}:`, err.message);
+    }
+  }
+}
+
+export function enqueueEmbedding(type, id) {
+  queue.set(`${type}:${id}`, { type, id: String(id) });
+  if (!draining) {
+    draining = drain().finally(() => {
+      draining = null;
+    });
+  }
+}
+
+export function getEmbeddingQueueInfo() {
+  return { ready: isEmbeddingReady(), pending: queue.size, draining: !!draining };
+}
+
+/* ===================== Write path ===================== */
+// Văn bản embed khác nhau giữa hai phiên bản document → vector cũ không còn khớp
+export function embeddingChanged(type, before, after) {
+  return embeddingText(before, EMBED_FIELDS[type]) !== embeddingText(after, EMBED_FIELDS[type]);
+}
+
+// before: document trước khi ghi (PUT); null = document mới.
+// → "embedded" | "queued" | "unchanged"
+export async function refreshEmbedding(type, doc, { before = null } = {}) {
+  const stale = !hasVector(doc) || !isCurrentModel(doc) || (before && embeddingChanged(type, before, doc));
+  if (!stale) return "unchanged";
+
+  if (!isEmbeddingReady()) {
+    enqueueEmbedding(type, doc._id);
+    return "queued";
+  }
+  try {
+    await writeVectors(type, [doc]);
+    return "embedded";
+  } catch (err) {
+    console.error(`❌ Embedding ${type} ${doc._id} failed, queued:`, err.message);
+    enqueueEmbedding(type, doc._id);
+    return "queued";
+  }
+}
+
+/* ===================== Backfill ===================== */
+// Embed các document chưa có vector; dryRun chỉ đếm
+export async function backfillEmbeddings({ types = EMBED_TYPES, limit = 1000, dryRun = false } = {}) {
+  const db = await getDb();
+  const result = {};
+
+  for (const type of types) {
+    const col = db.collection(type);
+    const missing = await col.countDocuments(MISSING_VECTOR_FILTER);
+    result[type] = { missing, embedded: 0 };
+    if (dryRun || !missing || limit <= 0) continue;
+
+    const docs = await col.find(MISSING_VECTOR_FILTER, { projection: { vector: 0 } }).limit(limit).toArray();
+    for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+      const batch = docs.slice(i, i + BATCH_SIZE);
+      await writeVectors(type, batch);
+      result[type].embedded += batch.length;
+    }
+    limit -= docs.length;
+  }
+
+  return result;
+}
+
+/* ===================== Model ===================== */
+// Đổi model (CLI reembed.js) chạy song song với server vẫn dùng model cũ: vector mới được ghi vào collection
+// riêng NEXT_COLLECTION ({ collection, doc_id, vector, vector_model, vector_dim, text_hash }) chứ không đè `vector`,
+// nên search/PUT/bulk/import của server không bị ảnh hưởng. cutoverEmbeddings() chép sang `vector` những
+// vector có text_hash còn khớp nội dung document (document sửa trong lúc migrate → embed lại sau).
+const NEXT_COLLECTION = "vector_next";
+
+let nextIndexReady = false;
+async function NextVectors(db) {
+  const col = db.collection(NEXT_COLLECTION);
+  if (!nextIndexReady) {
+    await col.createIndex({ collection: 1, doc_id: 1 }, { unique: true });
+    nextIndexReady = true;
+  }
+  return col;
+}
+
+function textHash(type, doc) {
+  return crypto.createHash("sha1").update(embeddingText(doc, EMBED_FIELDS[type])).digest("hex");
+}
+
+// Số vector theo (model, dim) của từng collection → phát hiện dữ liệu trộn nhiều model;
+// staged: vector đang chờ cutover theo model
+export async function embeddingStats({ types = EMBED_TYPES } = {}) {
+  const db = await getDb();
+  const next = await NextVectors(db);
+  const current = getEmbeddingModel();
+  const collections = {};
+
+  for (const type of types) {
+    const col = db.collection(type);
+    const [groups, missing, staged] = await Promise.all([
+      col.aggregate([
+        { $match: { vector: { $type: "array", $ne: [] } } },
+        {
+          $group: {
+            _id: { model: { $ifNull: ["$vector_model", LEGACY_EMBEDDING_MODEL] }, dim: { $size: "$vector" } },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { count: -1 } },
+      ]).toArray(),
+      col.countDocuments(MISSING_VECTOR_FILTER),
+      next.aggregate([
+        { $match: { collection: type } },
+        { $group: { _id: "$vector_model", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+      ]).toArray(),
+    ]);
+    const models = groups.map(g => ({ model: g._id.model, dim: g._id.dim, count: g.count, current: g._id.model === current.name }));
+    collections[type] = {
+      models,
+      missing,
+      stale: models.filter(m => !m.current).reduce((n, m) => n + m.count, 0),
+      mixed: models.length > 1,
+      staged: staged.map(s => ({ model: s._id, count: s.count })),
+    };
+  }
+
+  return { model: current, collections };
+}
+
+// Embed document thiếu vector hoặc có vector của model khác, theo thứ tự _id (chạy lại thì làm tiếp phần còn lại).
+// Mặc định ghi vào NEXT_COLLECTION (bỏ qua document đã có vector chờ của model này với nội dung không đổi);
+// inPlace: ghi thẳng vào `vector` — chỉ dùng khi server đã chạy với model này.
+// limit: số document được embed. onBatch({ type, embedded, stale }) sau mỗi batch (vd. cập nhật tiến độ CLI)
+export async function migrateEmbeddings({ types = EMBED_TYPES, limit = Infinity, batchSize = BATCH_SIZE, dryRun = false, inPlace = false, onBatch } = {}) {
+  const db = await getDb();
+  const next = await NextVectors(db);
+  const modelId = getEmbeddingModel().name;
+  const result = {};
+
+  for (const type of types) {
+    const col = db.collection(type);
+    const filter = staleVectorFilter();
+    const stale = await col.countDocuments(filter);
+    result[type] = { stale, embedded: 0, skipped: 0 };
+    if (dryRun || !stale) continue;
+
+    let lastId = null;
+    while (limit > 0) {
+      const batch = await col
+        .find(lastId ? { $and: [filter, { _id: { $gt: lastId } }] } : filter, { projection: { vector: 0 } })
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .toArray();
+      if (!batch.length) break;
+      lastId = batch.at(-1)._id;
+
+      let todo = batch;
+      if (!inPlace) {
+        const staged = await next
+          .find({ collection: type, doc_id: { $in: batch.map(d => d._id) }, vector_model: modelId }, { projection: { doc_id: 1, text_hash: 1 } })
+          .toArray();
+        const hashes = new Map(staged.map(s => [String(s.doc_id), s.text_hash]));
+        todo = batch.filter(d => hashes.get(String(d._id)) !== textHash(type, d));
+        result[type].skipped += batch.length - todo.length;
+      }
+      todo = todo.slice(0, limit);
+      if (todo.length) {
+        if (inPlace) {
+          await writeVectors(type, todo);
+        } else {
+          const vectors = await embedTexts(todo.map(d => embeddingText(d, EMBED_FIELDS[type])));
+          await next.bulkWrite(todo.map((d, i) => ({
+            replaceOne: {
+              filter: { collection: type, doc_id: d._id },
+              replacement: { collection: type, doc_id: d._id, ...vectorFields(vectors[i]), text_hash: textHash(type, d), created_time: new Date() },
+              upsert: true,
+            },
+          })));
+        }
+      }
+      result[type].embedded += todo.length;
+      limit -= todo.length;
+      onBatch?.({ type, embedded: result[type].embedded, stale });
+    }
+  }
+
+  return result;
+}
+
+// Chép vector chờ của model hiện tại vào `vector` rồi xóa NEXT_COLLECTION của các type này.
+// Chạy ngay trước khi khởi động lại server với EMBEDDING_MODEL mới.
+// → { [type]: { swapped, outdated } } (outdated: document đã sửa/xóa sau khi embed → vẫn cần embed lại)
+export async function cutoverEmbeddings({ types = EMBED_TYPES, batchSize = BATCH_SIZE, onBatch } = {}) {
+  const db = await getDb();
+  const next = await NextVectors(db);
+  const modelId = getEmbeddingModel().name;
+  const result = {};
+
+  for (const type of types) {
+    const col = db.collection(type);
+    result[type] = { swapped: 0, outdated: 0 };
+
+    let lastId = null;
+    for (;;) {
+      const staged = await next
+        .find({ collection: type, vector_model: modelId, ...(lastId && { _id: { $gt: lastId } }) })
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .toArray();
+      if (!staged.length) break;
+      lastId = staged.at(-1)._id;
+
+      const docs = await col.find({ _id: { $in: staged.map(s => s.doc_id) } }, { projection: { vector: 0 } }).toArray();
+      const byId = new Map(docs.map(d => [String(d._id), d]));
+      const fresh = staged.filter(s => byId.has(String(s.doc_id)) && textHash(type, byId.get(String(s.doc_id))) === s.text_hash);
+      if (fresh.length) {
+        await col.bulkWrite(fresh.map(s => ({
+          updateOne: { filter: { _id: s.doc_id }, update: { $set: { vector: s.vector, vector_model: s.vector_model, vector_dim: s.vector_dim } } },
+        })));
+      }
+      result[type].swapped += fresh.length;
+      result[type].outdated += staged.length - fresh.length;
+      onBatch?.({ type, ...result[type] });
+    }
+
+    await next.deleteMany({ collection: type });
+    invalidateLocalIndex(type);
+  }
+
+  return result;
+}
@@ -0,0 +1,126 @@
+// exporter.js — xuất journal / conference theo stream từ cursor Mongo (không nạp cả collection vào bộ nhớ)
+//
+//   csv    → cột theo ?fields= (mặc định EXPORT_FIELDS), mảng nối bằng "; "
+//   ndjson → mỗi dòng một document JSON (bỏ vector)
+//   bibtex → danh sách venue kiểu biblatex: @periodical (journal), @proceedings (conference)
+import { once } from "events";
+
+export const EXPORT_FIELDS = {
+  journal: [
+    "_id", "title", "publisher", "issn", "eissn", "country", "region", "areas", "categories",
+    "sjr", "sjr_best_quartile", "h_index", "apc", "url",
+  ],
+  conference: [
+    "_id", "acronym", "name", "location", "topics", "deadline", "start_date", "end_date", "publisher", "url",
+  ],
+};
+
+/* ===================== CSV ===================== */
+function csvValue(v) {
+  if (v === null || v === undefined) return "";
+  let s;
+  if (Array.isArray(v)) s = v.join("; ");
+  else if (v instanceof Date) s = v.toISOString();
+  else if (typeof v === "object" && v._bsontype !== "ObjectId") s = JSON.stringify(v);
+  else s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/* ===================== BibTeX ===================== */
+function bibValue(v) {
+  const s = Array.isArray(v) ? v.join(", ") : String(v);
+  return s.replace(/\\/g, "\\textbackslash{}").replace(/([{}&%$#_])/g, "\\$1").replace(/[~^]/g, c => `\\${c}{}`);
+}
+
+function bibKey(type, doc) {
+  const base = type === "conference" && doc.acronym ? doc.acronym : (doc.title || doc.name || type).split(/\s+/).slice(0, 3).join("");
+  const year = String(doc.start_date || doc.deadline || "").slice(0, 4);
+  return `${base.normalize("NFKD").replace(/[^A-Za-z0-9]/g, "") || type}${/^\d{4}$/.test(year) ? year : ""}_${String(doc._id).slice(-6)}`;
+}
+
+function bibEntry(type, doc) {
+  const fields = [];
+  const add = (name, v) => {
+    if (v !== null && v !== undefined && v !== "" && !(Array.isArray(v) && !v.length)) fields.push([name, v]);
+  };
+  if (type === "journal") {
+    add("title", doc.title);
+    add("publisher", doc.publisher);
+    add("issn", [doc.issn, doc.eissn].flat().filter(Boolean));
+    add("location", doc.country);
+    add("url", doc.url);
+    add("keywords", doc.areas);
+    add("note", [
+      doc.sjr_best_quartile && `SJR ${doc.sjr ?? ""} (${doc.sjr_best_quartile})`.replace(" ()", ""),
+      doc.h_index != null && `h-index ${doc.h_index}`,
+      doc.apc != null && `APC ${doc.apc}`,
+    ].filter(Boolean).join("; "));
+  } else {
+    add("title", doc.name || doc.title);
+    add("eventtitle", doc.acronym);
+    add("venue", doc.location);
+    add("eventdate", doc.start_date && (doc.end_date ? `${doc.start_date}/${doc.end_date}` : doc.start_date));
+    add("publisher", doc.publisher);
+    add("url", doc.url);
+    add("keywords", doc.topics);
+    add("note", doc.deadline && `Submission deadline: ${doc.deadline}`);
+  }
+  const body = fields.map(([k, v]) => `  ${k} = {${k === "url" ? v : bibValue(v)}}`).join(",\n");
+  return `@${type === "journal" ? "periodical" : "proceedings"}{${bibKey(type, doc)},\n${body}\n}\n\n`;
+}
+
+/* ===================== Formats ===================== */
+export const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    header: fields => `${fields.map(csvValue).join(",")}\r\n`,
+    row: (doc, { fields }) => `${fields.map(f => csvValue(doc[f])).join(",")}\r\n`,
+  },
+  ndjson: {
+    contentType: "application/x-ndjson; charset=utf-8",
+    extension: "ndjson",
+    header: () => "",
+    row: doc => `${JSON.stringify(doc)}\n`,
+  },
+  bibtex: {
+    contentType: "application/x-bibtex; charset=utf-8",
+    extension: "bib",
+    header: () => "",
+    row: (doc, { type }) => bibEntry(type, doc),
+  },
+};
+
+// Projection theo ?fields= (bibtex luôn cần các field cố định); không chỉ định → mọi field trừ vector
+export function exportProjection(format, fields) {
+  if (format === "bibtex" || !fields) return { vector: 0 };
+  return Object.fromEntries(fields.map(f => [f, 1]));
+}
+
+// Ghi từng document ra response, tôn trọng backpressure; client ngắt kết nối → đóng cursor
+export async function streamExport(res, cursor, { type, format, fields, filename }) {
+  const fmt = EXPORT_FORMATS[format];
+  const cols = fields || EXPORT_FIELDS[type];
+  res.set("Content-Type", fmt.contentType);
+  res.set("Content-Disposition", `attachment; filename="${filename}.${fmt.extension}"`);
+
+  let closed = false;
+  res.on("close", () => {
+    closed = true;
+  });
+
+  let count = 0;
+  try {
+    const header = fmt.header(cols);
+    if (header) res.write(header);
+    for await (const doc of cursor) {
+      if (closed) break;
+      if (!res.write(fmt.row(doc, { type, fields: cols }))) await Promise.race([once(res, "drain"), once(res, "close")]);
+      count++;
+    }
+  } finally {
+    await cursor.close();
+  }
+  res.end();
+  return count;
+}
@@ -0,0 +1,274 @@
+// filters.js — query params có kiểu cho /api/journals và /api/conferences
+
+export const QUARTILES = ["Q1", "Q2", "Q3", "Q4"];
+
+// Lỗi tham số query → route trả 400
+export class QueryError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = "QueryError";
+    this.details = details;
+  }
+}
+
+/* ===================== Parsers ===================== */
+function escapeRegex(s) {
+  return String(s).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function containsRegex(v) {
+  return new RegExp(escapeRegex(v), "i");
+}
+
+function exactRegex(v) {
+  return new RegExp(`^${escapeRegex(v)}$`, "i");
+}
+
+// "a,b" hoặc ?x=a&x=b → ["a", "b"]
+function parseList(v) {
+  return [].concat(v)
+    .flatMap(x => String(x).split(","))
+    .map(x => x.trim())
+    .filter(Boolean);
+}
+
+function parseNumber(name, v, errors) {
+  const n = Number(v);
+  if (v === "" || !Number.isFinite(n)) {
+    errors.push({ param: name, message: `${name} must be a number`, value: v });
+    return undefined;
+  }
+  return n;
+}
+
+// Chỉ nhận đúng "YYYY-MM-DD" (ngày có thật) → Date 00:00 UTC, cùng quy ước với *_at trong schemas.js
+function parseDate(name, v, errors) {
+  const m = String(v).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const d = m && new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  if (!d || d.getUTCMonth() !== +m[2] - 1 || d.getUTCDate() !== +m[3]) {
+    errors.push({ param: name, message: `${name} must be a date (YYYY-MM-DD)`, value: v });
+    return undefined;
+  }
+  return d;
+}
+
+// from > to → khoảng rỗng, báo lỗi thay vì trả về danh sách trống
+function checkRange(minName, maxName, min, max, errors) {
+  if (min !== undefined && max !== undefined && min > max) {
+    errors.push({ param: minName, message: `${minName} must not be greater than ${maxName}`, value: [min, max] });
+  }
+}
+
+// Query trực tiếp trên field đã chuẩn hóa kiểu (số / Date) → dùng được index; $gte/$lte không khớp null/thiếu field
+function rangeQuery(field, min, max) {
+  const range = {};
+  if (min !== undefined) range.$gte = min;
+  if (max !== undefined) range.$lte = max;
+  return Object.keys(range).length ? { [field]: range } : null;
+}
+
+function get(query, name) {
+  const v = query[name];
+  return v === undefined || v === "" ? undefined : v;
+}
+
+/* ===================== Journals ===================== */
+export function buildJournalFilter(query = {}) {
+  const errors = [];
+  const and = [];
+
+  const quartile = get(query, "quartile");
+  if (quartile !== undefined) {
+    const values = parseList(quartile).map(q => q.toUpperCase());
+    const bad = values.filter(q => !QUARTILES.includes(q));
+    if (bad.length) {
+      errors.push({ param: "quartile", message: `quartile must be one of ${QUARTILES.join(", ")}`, value: bad });
+    } else {
+      and.push({ sjr_best_quartile: { $in: values } });
+    }
+  }
+
+  for (const [param, field] of [["area", "areas"], ["category", "categories"], ["publisher", "publisher"]]) {
+    const v = get(query, param);
+    if (v !== undefined) and.push({ [field]: containsRegex(v) });
+  }
+
+  const country = get(query, "country");
+  if (country !== undefined) {
+    and.push({ country: { $in: parseList(country).map(exactRegex) } });
+  }
+
+  const region = get(query, "region");
+  if (region !== undefined) and.push({ region: containsRegex(region) });
+
+  const sjrMin = get(query, "sjr_min");
+  const sjrMax = get(query, "sjr_max");
+  const min = sjrMin !== undefined ? parseNumber("sjr_min", sjrMin, errors) : undefined;
+  const max = sjrMax !== undefined ? parseNumber("sjr_max", sjrMax, errors) : undefined;
+  checkRange("sjr_min", "sjr_max", min, max, errors);
+  const sjrRange = rangeQuery("sjr", min, max);
+  if (sjrRange) and.push(sjrRange);
+
+  // APC chỉ lọc khi tạp chí có dữ liệu APC: tạp chí không có APC (null/thiếu field) vẫn được giữ
+  const apcMax = get(query, "apc_max");
+  if (apcMax !== undefined) {
+    const max = parseNumber("apc_max", apcMax, errors);
+    if (max !== undefined) and.push({ $or: [{ apc: { $lte: max } }, { apc: null }] });
+  }
+
+  if (errors.length) throw new QueryError("Invalid query parameters", errors);
+  return and.length ? { $and: and } : {};
+}
+
+// "Q2" → ["Q1", "Q2"] (quartile tối thiểu)
+export function quartilesAtLeast(min) {
+  const idx = QUARTILES.indexOf(String(min).toUpperCase());
+  if (idx < 0) {
+    throw new QueryError("Invalid query parameters", [
+      { param: "min_quartile", message: `min_quartile must be one of ${QUARTILES.join(", ")}`, value: min }
+    ]);
+  }
+  return QUARTILES.slice(0, idx + 1);
+}
+
+/* ===================== Conferences ===================== */
+// [prefix tham số, field gốc "YYYY-MM-DD", field Date suy ra (schemas.js derived)]
+const CONFERENCE_DATE_RANGES = [["deadline", "deadline", "deadline_at"], ["start", "start_date", "start_at"]];
+export const CONFERENCE_DATE_PARAMS = CONFERENCE_DATE_RANGES.flatMap(([prefix]) => [`${prefix}_from`, `${prefix}_to`]);
+
+export function buildConferenceFilter(query = {}) {
+  const errors = [];
+  const and = [];
+
+  for (const [param, field] of [["location", "location"], ["topic", "topics"]]) {
+    const v = get(query, param);
+    if (v !== undefined) and.push({ [field]: containsRegex(v) });
+  }
+
+  for (const [prefix, , field] of CONFERENCE_DATE_RANGES) {
+    const from = get(query, `${prefix}_from`);
+    const to = get(query, `${prefix}_to`);
+    const min = from !== undefined ? parseDate(`${prefix}_from`, from, errors) : undefined;
+    const max = to !== undefined ? parseDate(`${prefix}_to`, to, errors) : undefined;
+    checkRange(`${prefix}_from`, `${prefix}_to`, min, max, errors);
+    const range = rangeQuery(field, min, max);
+    if (range) and.push(range);
+  }
+
+  if (errors.length) throw new QueryError("Invalid query parameters", errors);
+  return and.length ? { $and: and } : {};
+}
+
+// Conference có ngày (deadline/start_date) nhưng không có bản Date (*_at: dữ liệu cũ, chuỗi không parse được)
+// → bị lọc theo khoảng ngày loại bỏ. Filter chọn các document đó cho những khoảng ngày có trong query
+// (null nếu không lọc theo ngày) → route báo số lượng.
+export function invalidDateFilter(query = {}) {
+  const or = CONFERENCE_DATE_RANGES
+    .filter(([prefix]) => get(query, `${prefix}_from`) !== undefined || get(query, `${prefix}_to`) !== undefined)
+    .map(([, field, dateField]) => ({ [field]: { $nin: [null, ""] }, [dateField]: null }));
+  return or.length ? { $or: or } : null;
+}
+
+/* ===================== Status (soft-delete) ===================== */
+// import.js đánh dấu status: "removed" cho record không còn trong feed, dedup.js đánh dấu "merged"
+// cho bản trùng đã gộp → mặc định bị ẩn
+export const INACTIVE_STATUSES = ["removed", "merged"];
+export const ACTIVE_FILTER = { status: { $nin: INACTIVE_STATUSES } };
+const STATUS_FILTERS = { active: ACTIVE_FILTER, removed: { status: "removed" }, merged: { status: "merged" }, all: {} };
+
+// ?status=active (mặc định) | removed | merged | all
+export function buildStatusFilter(query = {}) {
+  const v = get(query, "status");
+  if (v === undefined) return ACTIVE_FILTER;
+  const filter = STATUS_FILTERS[String(v).toLowerCase()];
+  if (!filter) {
+    throw new QueryError("Invalid query parameters", [
+      { param: "status", message: `status must be one of ${Object.keys(STATUS_FILTERS).join(", ")}`, value: v },
+    ]);
+  }
+  return filter;
+}
+
+/* ===================== Vector search pre-filters ===================== */
+// filter: query Mongo đầy đủ (áp dụng sau/ trước khi quét vector)
+// prefilter: phần tương thích với `filter` của $vectorSearch (chỉ so sánh bằng / $in trên field đã index)
+export function buildVectorFilters(type, query = {}) {
+  if (type === "journal") {
+    const filter = buildJournalFilter(query);
+    const prefilter = {};
+    const quartile = get(query, "quartile");
+    if (quartile !== undefined) {
+      prefilter.sjr_best_quartile = { $in: parseList(quartile).map(q => q.toUpperCase()) };
+    }
+    return { filter, prefilter };
+  }
+  return { filter: buildConferenceFilter(query), prefilter: {} };
+}
+
+/* ===================== Sort ===================== */
+// sort=field (tăng dần) | sort=-field (giảm dần), nhiều field cách nhau bởi dấu phẩy
+export function parseSort(value, allowed, fallback = { created_time: -1 }) {
+  if (value === undefined || value === "") return fallback;
+
+  const sort = {};
+  const errors = [];
+  for (const part of parseList(value)) {
+    const desc = part.startsWith("-");
+    const field = desc ? part.slice(1) : part;
+    if (!allowed.includes(field)) {
+      errors.push({ param: "sort", message: `Cannot sort by '${field}'. Allowed: ${allowed.join(", ")}`, value: part });
+      continue;
+    }
+    sort[field] = desc ? -1 : 1;
+  }
+
+  if (errors.length) throw new QueryError("Invalid query parameters", errors);
+  return sort;
+}
+
+// Gộp các filter con (bỏ filter rỗng)
+export function combineFilters(...filters) {
+  const parts = filters.filter(f => f && Object.keys(f).length);
+  if (!parts.length) return {};
+  return parts.length === 1 ? parts[0] : { $and: parts };
+}
+
+/* ===================== Facets ===================== */
+// ?facets=areas,country&facet_limit=20 → số document theo từng giá trị, tính trên toàn bộ filter (không theo trang)
+export const FACET_DEFAULT_LIMIT = 20;
+export const FACET_MAX_LIMIT = 100;
+
+export function parseFacets(query, allowed) {
+  const v = get(query, "facets");
+  if (v === undefined) return null;
+
+  const errors = [];
+  const fields = [...new Set(parseList(v))];
+  for (const field of fields) {
+    if (!allowed.includes(field)) {
+      errors.push({ param: "facets", message: `Cannot facet by '${field}'. Allowed: ${allowed.join(", ")}`, value: field });
+    }
+  }
+  const rawLimit = get(query, "facet_limit");
+  const limit = rawLimit === undefined ? FACET_DEFAULT_LIMIT : Number(rawLimit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > FACET_MAX_LIMIT) {
+    errors.push({ param: "facet_limit", message: `facet_limit must be an integer between 1 and ${FACET_MAX_LIMIT}`, value: rawLimit });
+  }
+
+  if (errors.length) throw new QueryError("Invalid query parameters", errors);
+  return fields.length ? { fields, limit } : null;
+}
+
+// Một $facet cho mọi field; field mảng (areas, topics) được $unwind → mỗi phần tử đếm riêng
+export async function countFacets(col, filter, { fields, limit }) {
+  const stages = Object.fromEntries(fields.map(f => [f, [
+    { $unwind: `$${f}` },
+    { $match: { [f]: { $nin: [null, ""] } } },
+    { $group: { _id: `$${f}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, value: "$_id", count: "$count" } },
+  ]]));
+  const [result] = await col.aggregate([{ $match: filter }, { $facet: stages }]).toArray();
+  return result;
+}
@@ -0,0 +1,201 @@
+// history.js — lịch sử thay đổi (audit trail) của journal / conference
+//
+// Mỗi lần ghi (REST CRUD, importer, merge, revert) lưu một bản ghi vào venue_history:
+//   { collection, doc_id, version, op, actor, source, time, changes: [{ field, from?, to? }] }
+// version tăng dần theo từng document (bắt đầu từ 1). Thiếu `from`/`to` = field không tồn tại.
+// Revert về version N = lấy document hiện tại rồi áp ngược (from) các thay đổi có version > N.
+import { isDeepStrictEqual } from "util";
+import { SCHEMAS, toUtcDate } from "./schemas.js";
+
+const HISTORY_COLLECTION = "venue_history";
+const MAX_ATTEMPTS = 3;
+// Field hệ thống thay đổi ở mỗi lần ghi hoặc suy ra từ field khác → không đưa vào diff
+const IGNORED_FIELDS = new Set([
+  "_id", "vector", "vector_model", "vector_dim", "content_hash", "alias_hashes", "modified_time", "last_seen_time", "missing_since",
+  "deadline_at", "start_at", "end_at",
+]);
+
+export const HISTORY_OPS = ["create", "update", "delete", "import", "remove", "merge", "revert", "restore"];
+
+// Lỗi nghiệp vụ khi revert → route trả 400/404
+export class HistoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "HistoryError";
+    this.status = status;
+  }
+}
+
+let indexesReady = false;
+export async function History(db) {
+  const col = db.collection(HISTORY_COLLECTION);
+  if (!indexesReady) {
+    await Promise.all([
+      col.createIndex({ collection: 1, doc_id: 1, version: -1 }, { unique: true }),
+      col.createIndex({ collection: 1, "changes.field": 1, time: -1 }),
+    ]);
+    indexesReady = true;
+  }
+  return col;
+}
+
+/* ===================== Diff ===================== */
+export function diffDocs(before, after) {
+  const a = before || {};
+  const b = after || {};
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(f => !IGNORED_FIELDS.has(f)).sort();
+  const changes = [];
+  for (const field of fields) {
+    if (isDeepStrictEqual(a[field], b[field])) continue;
+    changes.push({
+      field,
+      ...(a[field] !== undefined && { from: a[field] }),
+      ...(b[field] !== undefined && { to: b[field] }),
+    });
+  }
+  return changes;
+}
+
+/* ===================== Ghi lịch sử ===================== */
+// entries: [{ doc_id, op, before, after, actor, source? }] — entry không có thay đổi bị bỏ qua.
+// Lỗi ghi lịch sử không làm hỏng thao tác chính (đã ghi xong) → chỉ log.
+export async function recordHistory(db, type, entries) {
+  const now = new Date();
+  let pending = entries
+    .map(({ doc_id, op, before, after, actor = null, source = null, ...extra }) => ({
+      collection: type,
+      doc_id,
+      op,
+      actor,
+      source,
+      time: now,
+      ...extra,
+      changes: diffDocs(before, after),
+    }))
+    .filter(e => e.doc_id && e.changes.length);
+  if (!pending.length) return 0;
+
+  let recorded = 0;
+  try {
+    const col = await History(db);
+    for (let attempt = 1; pending.length && attempt <= MAX_ATTEMPTS; attempt++) {
+      const ids = [...new Set(pending.map(e => e.doc_id))];
+      const last = await col.aggregate([
+        { $match: { collection: type, doc_id: { $in: ids } } },
+        { $group: { _id: "$doc_id", version: { $max: "$version" } } },
+      ]).toArray();
+      const versions = new Map(last.map(x => [String(x._id), x.version]));
+      for (const e of pending) {
+        const v = (versions.get(String(e.doc_id)) || 0) + 1;
+        versions.set(String(e.doc_id), v);
+        e.version = v;
+      }
+
+      try {
+        await col.insertMany(pending, { ordered: false });
+        recorded += pending.length;
+        pending = [];
+      } catch (err) {
+        // Ghi đồng thời cùng document → trùng version, tính lại cho các entry lỗi
+        const failed = new Set([].concat(err.writeErrors || []).filter(e => e.code === 11000).map(e => e.index));
+        if (!failed.size) throw err;
+        recorded += pending.length - failed.size;
+        pending = pending.filter((_, i) => failed.has(i)).map(({ _id, version, ...e }) => e);
+      }
+    }
+    if (pending.length) throw new Error(`${pending.length} entries conflicted after ${MAX_ATTEMPTS} attempts`);
+  } catch (err) {
+    console.error(`❌ Failed to record ${type} history:`, err.message);
+  }
+  return recorded;
+}
+
+/* ===================== Đọc lịch sử ===================== */
+export async function listHistory(db, type, docId, { limit = 50, before = null } = {}) {
+  const filter = { collection: type, doc_id: docId, ...(before && { version: { $lt: before } }) };
+  const col = await History(db);
+  const [items, total] = await Promise.all([
+    col.find(filter, { projection: { collection: 0 } }).sort({ version: -1 }).limit(limit).toArray(),
+    col.countDocuments({ collection: type, doc_id: docId }),
+  ]);
+  return { total, items };
+}
+
+// Badge "deadline extended": lần đổi deadline gần nhất dời sang ngày muộn hơn và deadline mới chưa qua
+// → Map(id → { from, to, time })
+export async function deadlineExtensions(db, ids) {
+  if (!ids.length) return new Map();
+  const today = new Date().toISOString().slice(0, 10);
+  const last = await (await History(db)).aggregate([
+    { $match: { collection: "conference", doc_id: { $in: ids }, "changes.field": "deadline" } },
+    { $sort: { version: -1 } },
+    { $group: { _id: "$doc_id", time: { $first: "$time" }, changes: { $first: "$changes" } } },
+  ]).toArray();
+
+  const result = new Map();
+  for (const x of last) {
+    const c = x.changes.find(ch => ch.field === "deadline");
+    if (typeof c.from === "string" && typeof c.to === "string" && c.to > c.from && c.to >= today) {
+      result.set(String(x._id), { from: c.from, to: c.to, time: x.time });
+    }
+  }
+  return result;
+}
+
+/* ===================== Revert ===================== */
+// Đưa document về trạng thái ngay sau version N; document đã bị xóa → tạo lại (op "restore")
+export async function revertToVersion(db, type, docId, version, { actor = null } = {}) {
+  const col = db.collection(type);
+  const history = await History(db);
+  const target = await history.findOne({ collection: type, doc_id: docId, version });
+  if (!target) throw new HistoryError(`Version ${version} not found`, 404);
+  if (target.op === "delete") throw new HistoryError(`Version ${version} is a deletion; revert to an earlier version`);
+
+  const undo = await history.find({ collection: type, doc_id: docId, version: { $gt: version } }).sort({ version: -1 }).toArray();
+  if (!undo.length) throw new HistoryError(`Document is already at version ${version}`);
+
+  const current = await col.findOne({ _id: docId }, { projection: { vector: 0 } });
+  const state = { ...(current || { _id: docId }) };
+  for (const entry of undo) {
+    for (const c of entry.changes) {
+      if ("from" in c) state[c.field] = c.from;
+      else delete state[c.field];
+    }
+  }
+  // Ngày dạng Date (deadline_at, ...) suy lại từ chuỗi
+  for (const [field, derived] of Object.entries(SCHEMAS[type].derived || {})) {
+    if (field in state) state[derived] = toUtcDate(state[field]);
+    else delete state[derived];
+  }
+
+  const now = new Date();
+  const changed = diffDocs(current, state).map(c => c.field);
+  let doc;
+  if (!current) {
+    doc = { ...state, modified_time: now };
+    await col.insertOne(doc);
+  } else {
+    const $set = { modified_time: now };
+    const $unset = {};
+    for (const f of new Set([...Object.keys(current), ...Object.keys(state)])) {
+      if (f === "_id" || f === "vector") continue;
+      if (!(f in state)) $unset[f] = "";
+      else if (!isDeepStrictEqual(state[f], current[f])) $set[f] = state[f];
+    }
+    doc = await col.findOneAndUpdate(
+      { _id: docId },
+      { $set, ...(Object.keys($unset).length && { $unset }) },
+      { returnDocument: "after", projection: { vector: 0 } }
+    );
+  }
+
+  await recordHistory(db, type, [{
+    doc_id: docId,
+    op: current ? "revert" : "restore",
+    before: current,
+    after: doc,
+    actor,
+    reverted_to: version,
+  }]);
+  return { doc, changed };
+}
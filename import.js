@@ -1,209 +1,112 @@
-// import.js
-import fs from "fs";
-import axios from "axios";
+// import.js — CLI importer
+//
+//   node import.js                                   → chạy các nguồn "default" trong sources.json (feed rpa4edu)
+//   node import.js --source rpa-journal              → một nguồn đã cấu hình
+//   node import.js --source sjr.csv --type journal   → file/URL bất kỳ; profile (mapping) tự nhận theo cột CSV
+//   node import.js --source core.csv --type conference --profile core
+//   node import.js --source data.json --type journal   → mảng "journal" trong object (--records-path để chọn key khác)
+// Tùy chọn: --adapter http-json|json-file|csv, --fresh (bỏ checkpoint), --dry-run-removals (chỉ báo cáo soft-delete)
+import "dotenv/config";
 import { MongoClient } from "mongodb";
-import pLimit from "p-limit";
-import cliProgress from "cli-progress";
 import ora from "ora";
-import { pipeline } from "@xenova/transformers";   // ✅ local embedding
-import "dotenv/config";
+import { importCollection } from "./importer.js";
+import { loadSources, resolveSource } from "./sources.js";
+import { embedTexts } from "./embedder.js"; // ✅ local embedding theo EMBEDDING_MODEL
 
 const MONGODB_URI = process.env.MONGODB_URI;
 const MONGODB_DB = process.env.MONGODB_DB || "rpa";
-const API_RESEARCH = process.env.API_RESEARCH || "https://api.rpa4edu.shop/api_research.php";
-const API_JOURNAL = process.env.API_JOURNAL || "https://api.rpa4edu.shop/api_journal.php";
 
 const client = new MongoClient(MONGODB_URI);
 
-// ===== Embedding helper (Local MiniLM-L6-v2) =====
-let embedder = null;
-async function initEmbedder() {
-  if (!embedder) {
-    console.log("⏳ Loading local embedding model (all-MiniLM-L6-v2)...");
-    embedder = await pipeline("feature-extraction", "Xenova/all-MiniLM-L6-v2");
-    console.log("✅ Model loaded");
+// ===== Args =====
+function parseArgs(argv) {
+  const args = { flags: new Set() };
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!m) continue;
+    if (m[2] !== undefined) args[m[1]] = m[2];
+    else if (argv[i + 1] && !argv[i + 1].startsWith("--")) args[m[1]] = argv[++i];
+    else args.flags.add(m[1]);
   }
-  return embedder;
+  return args;
 }
 
-async function embedBatch(texts) {
-  const emb = await (await initEmbedder())(texts, { pooling: "mean", normalize: true });
-  return texts.map((_, i) => Array.from(emb[i]));
-}
-
-// ===== Streaming fetch with spinner =====
-async function fetchJsonStream(url, retries = 3) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const connectSpinner = ora(`📡 Connecting to ${url}`).start();
-      const res = await axios.get(url, {
-        responseType: "stream",
-        timeout: 60000,
-      });
-      connectSpinner.succeed(`✔ 📡 Connected to ${url}`);
-
-      let data = "";
-      let size = 0;
-      const startTime = Date.now();
-
-      const spinner = ora("📥 Downloading...").start();
-      const interval = setInterval(() => {
-        const mb = (size / 1024 / 1024).toFixed(1);
-        const elapsed = (Date.now() - startTime) / 1000;
-        const speed = elapsed > 0 ? (size / 1024 / 1024 / elapsed).toFixed(1) : "0.0";
-        spinner.text = `📥 Downloading... ${mb} MB | ${speed} MB/s`;
-      }, 500);
-
-      for await (const chunk of res.data) {
-        size += chunk.length;
-        data += chunk.toString("utf8");
-      }
-
-      clearInterval(interval);
-      spinner.succeed("✔ 📥 Download complete");
-
-      return JSON.parse(data);
-    } catch (err) {
-      console.error(`❌ Fetch error (attempt ${attempt}) from ${url}:`, err.message);
-      if (attempt < retries) {
-        console.log(`⏳ Retry in 5s...`);
-        await new Promise((r) => setTimeout(r, 5000));
-      } else {
-        throw err;
-      }
-    }
+// ===== Report =====
+function logRemovalReport(name, report) {
+  if (report.skipped_reason) {
+    console.warn(`⚠️ "${name}": removal check skipped — ${report.skipped_reason} (eligible ${report.eligible})`);
+  } else {
+    const verb = report.dry_run ? "would mark" : "marked";
+    console.log(
+      `🗑️ "${name}": ${report.missing} missing from feed | ${verb} ${report.dry_run ? report.eligible : report.removed} as removed (grace ${report.grace_hours}h)`
+    );
   }
+  for (const x of report.sample) console.log(`   - ${x._key} (missing since ${x.missing_since.toISOString()})`);
 }
 
-// ===== Deep equal (so sánh dữ liệu cũ - mới) =====
-function isEqualExceptVector(a, b) {
-  const ignore = new Set(["_id", "vector"]);
-  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
-  for (const k of keys) {
-    if (ignore.has(k)) continue;
-    if (JSON.stringify(a[k]) !== JSON.stringify(b[k])) {
-      return false;
-    }
-  }
-  return true;
+function countsText(processed, counts) {
+  return `${processed} records | new ${counts.new} | updated ${counts.updated} | unchanged ${counts.unchanged} | restored ${counts.restored} | failed ${counts.failed}`;
 }
 
-// ===== Import collection =====
-async function importCollection(db, name, records, fields) {
-  if (!records?.length) {
-    console.warn(`⚠️ No data for collection "${name}"`);
-    return;
-  }
-
-  const spinner = ora(`🔍 Checking existing docs in "${name}"...`).start();
-
-  const existing = await db.collection(name).find({}, { projection: { _id: 0 } }).toArray();
-  const existingMap = new Map(existing.map(x => [x._key, x]));
-
-  spinner.succeed(`📊 ${records.length} total records to process in "${name}"`);
-
-  const toProcess = [];
-  for (const r of records) {
-    const old = existingMap.get(r._key);
-    if (!old) {
-      toProcess.push({ item: r, reason: "new" });
-    } else if (!isEqualExceptVector(old, r)) {
-      toProcess.push({ item: { ...old, ...r }, reason: "update" });
-    }
-  }
-
-  if (!toProcess.length) {
-    console.log(`✔ "${name}" đã đầy đủ, skip.`);
-    return;
-  }
-
-  console.log(`📦 ${toProcess.length} docs need insert/update in "${name}"...`);
-
-  const contents = toProcess.map(({ item }) =>
-    fields
-      .map((f) => {
-        const val = item[f];
-        return Array.isArray(val) ? val.join(" ") : val || "";
-      })
-      .filter(Boolean)
-      .join(" ")
-  );
-
-  const BATCH_SIZE = 25;
-  let vectors = [];
-
-  // 🟢 Bước 1: EMBEDDING
-  const embedBar = new cliProgress.SingleBar(
-    { format: `   → Embedding [{bar}] {percentage}% | {value}/{total}`, hideCursor: true, barsize: 30 },
-    cliProgress.Presets.shades_classic
-  );
-  embedBar.start(contents.length, 0);
-
-  for (let i = 0; i < contents.length; i += BATCH_SIZE) {
-    const batch = contents.slice(i, i + BATCH_SIZE);
-    const vecs = await embedBatch(batch);
-    vectors.push(...vecs);
-    embedBar.update(Math.min(i + batch.length, contents.length));
+// ===== Import một nguồn, có spinner =====
+async function runSource(db, source, args) {
+  const label = `${source.name} → ${source.type}`;
+  const progress = { bytes: 0, processed: 0, counts: null };
+  const spinner = ora(`📡 Importing "${label}" from ${source.url || source.path}`).start();
+  const interval = setInterval(() => {
+    if (!progress.counts) return;
+    const mb = (progress.bytes / 1024 / 1024).toFixed(1);
+    spinner.text = `📦 "${label}": ${countsText(progress.processed, progress.counts)} | ${mb} MB`;
+  }, 500);
+
+  const started = Date.now();
+  try {
+    const result = await importCollection(db, source, {
+      embed: embedTexts,
+      fresh: args.flags.has("fresh"),
+      dryRunRemovals: args.flags.has("dry-run-removals"),
+      progress,
+    });
+    spinner.succeed(`✔ "${label}": ${countsText(result.processed, result.counts)} | ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    const summary = Object.entries(result.invalid_fields).map(([f, n]) => `${f}=${n}`).join(", ");
+    if (summary) console.warn(`⚠️ "${label}": bỏ field không hợp lệ → ${summary}`);
+    if (result.removal) logRemovalReport(label, result.removal);
+  } catch (err) {
+    spinner.fail(`❌ "${label}" stopped at record #${err.processed ?? 0}: ${err.message}`);
+    throw err;
+  } finally {
+    clearInterval(interval);
   }
-  embedBar.stop();
-  console.log("✔ Embedding finished (local MiniLM-L6-v2)");
-
-  // 🟢 Bước 2: UPDATE DB
-  const limit = pLimit(10);
-  const updateBar = new cliProgress.SingleBar(
-    { format: `   → Writing DB [{bar}] {percentage}% | {value}/{total}`, hideCursor: true, barsize: 30 },
-    cliProgress.Presets.shades_classic
-  );
-  updateBar.start(toProcess.length, 0);
-
-  let done = 0;
-  await Promise.all(
-    toProcess.map(({ item }, idx) =>
-      limit(async () => {
-        await db.collection(name).updateOne(
-          { _key: item._key },
-          { $set: { ...item, vector: vectors[idx] } },
-          { upsert: true }
-        );
-        done++;
-        updateBar.update(done);
-      })
-    )
-  );
-  updateBar.stop();
-  console.log(`✔ Upserted ${toProcess.length} docs into "${name}"`);
 }
 
 // ===== Main =====
 (async () => {
   try {
+    const args = parseArgs(process.argv.slice(2));
+    const sources = args.source
+      ? [await resolveSource({
+          source: args.source,
+          type: args.type,
+          profile: args.profile,
+          adapter: args.adapter,
+          records_path: args["records-path"],
+        })]
+      : await Promise.all(
+          Object.entries(loadSources())
+            .filter(([, cfg]) => cfg.default)
+            .map(([name]) => resolveSource({ source: name }))
+        );
+
     await client.connect();
     const db = client.db(MONGODB_DB);
     console.log(`✅ MongoDB connected (import.js) → DB: ${MONGODB_DB}`);
 
-    const conferences = await fetchJsonStream(API_RESEARCH);
-    console.log(`📊 Conferences fetched: ${conferences.length}`);
-
-    const journals = await fetchJsonStream(API_JOURNAL);
-    console.log(`📊 Journals fetched: ${journals.length}`);
-
-    await importCollection(
-      db,
-      "conference",
-      conferences.map(c => ({ ...c, _key: `${c.acronym || ""} ${c.name || ""}`.trim() })),
-      ["_key", "publisher", "description"]
-    );
-
-    await importCollection(
-      db,
-      "journal",
-      journals.map(j => ({ ...j, _key: j.title || "" })),
-      ["_key", "publisher", "description"]
-    );
+    for (const source of sources) await runSource(db, source, args);
 
     console.log("🎯 Import finished (all data up-to-date with vectors).");
   } catch (err) {
     console.error("❌ Import failed:", err);
+    process.exitCode = 1;
   } finally {
     await client.close();
     console.log("🔌 MongoDB connection closed");
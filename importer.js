@@ -0,0 +1,409 @@
+// importer.js — import record từ một nguồn (xem sources.js) vào collection journal/conference
+//
+// - Đọc record theo stream, map field theo cấu hình nguồn, chuẩn hóa theo schemas.js
+// - So sánh bằng content_hash lưu trong document → chỉ ghi record mới/đổi, chỉ embed lại khi văn bản embed đổi
+// - Ghi DB theo batch (bulkWrite), lưu checkpoint sau mỗi batch vào "import_runs"
+// - Lần chạy bị gián đoạn (lỗi / bị kill) được chạy tiếp từ checkpoint ở lần sau (trừ upload); `fresh` để chạy lại từ đầu
+// - Nguồn có track_removals: record không còn trong nguồn quá IMPORT_REMOVAL_GRACE_HOURS → status: "removed"
+//   (soft-delete); chỉ xét document do chính nguồn đó tạo (origin) hoặc dữ liệu cũ chưa có origin.
+import crypto from "crypto";
+import { normalize, buildKey, embeddingText, EMBED_FIELDS } from "./schemas.js";
+import { ADAPTERS, mapRecord } from "./sources.js";
+import { recordHistory } from "./history.js";
+import { vectorFields, isCurrentModel } from "./embedder.js";
+
+const BATCH_SIZE = Number(process.env.IMPORT_BATCH_SIZE || 200);
+const MAX_ATTEMPTS = 3;
+// Chỉ chạy tiếp lần import dở dang nếu nó bắt đầu trong khoảng này
+const RESUME_MAX_AGE_HOURS = Number(process.env.IMPORT_RESUME_MAX_AGE_HOURS || 24);
+const REMOVAL_GRACE_HOURS = Number(process.env.IMPORT_REMOVAL_GRACE_HOURS ?? 72);
+// Chặn đánh dấu hàng loạt khi feed lỗi (vd. trả về thiếu dữ liệu): quá tỉ lệ này → chỉ báo cáo
+const REMOVAL_MAX_RATIO = Number(process.env.IMPORT_REMOVAL_MAX_RATIO ?? 0.1);
+
+// Lỗi mạng khi đang đọc stream → mở lại stream và đọc tiếp
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EPIPE", "EAI_AGAIN", "ERR_STREAM_PREMATURE_CLOSE"
+]);
+
+// ===== Content hash =====
+// JSON với key đã sắp xếp → cùng nội dung luôn cùng hash
+function stableStringify(value) {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+function contentHash(record) {
+  return crypto.createHash("sha1").update(stableStringify(record)).digest("hex");
+}
+
+// ===== Chuẩn hóa theo schema (giống POST/PUT), field sai bị bỏ =====
+// Record không dùng được (không phải object, thiếu _key) → null
+function normalizeRecord(type, raw, invalid) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+  const { value, errors } = normalize(type, raw, { lenient: true });
+  for (const e of errors) invalid[e.field] = (invalid[e.field] || 0) + 1;
+  // _key tính từ record gốc để khớp với dữ liệu đã import trước đây
+  const _key = buildKey(type, raw);
+  return _key ? { ...value, _key } : null;
+}
+
+function hasVector(doc) {
+  return Array.isArray(doc.vector) && doc.vector.length > 0;
+}
+
+// ===== Import runs (lịch sử + checkpoint) =====
+let runsIndexReady = false;
+export async function Runs(db) {
+  const col = db.collection("import_runs");
+  if (!runsIndexReady) {
+    await col.createIndex({ collection: 1, started_time: -1 });
+    runsIndexReady = true;
+  }
+  return col;
+}
+
+function sourceLocation(source) {
+  return source.url || source.path || "upload";
+}
+
+// Lần chạy gần nhất của nguồn còn dở (failed, hoặc running mà process đã chết) → chạy tiếp
+async function findResumableRun(runs, source) {
+  const last = await runs.findOne({ collection: source.type, source: source.name }, { sort: { started_time: -1 } });
+  if (!last || !["running", "failed"].includes(last.status) || last.location !== sourceLocation(source)) return null;
+  if (Date.now() - last.started_time.getTime() > RESUME_MAX_AGE_HOURS * 3600 * 1000) return null;
+  return last;
+}
+
+// ===== Ghi một batch =====
+// Đọc document hiện có của các record trong batch (vector chỉ 1 phần tử) để so hash và ghi diff vào lịch sử.
+// Record có _key là alias của document đã gộp (dedup.js) → chỉ điền field còn trống của document đó (giữ giá trị
+// mergeVenues đã chọn); hash của record alias lưu riêng trong alias_hashes theo key → record gốc và record alias
+// cùng còn trong feed không ghi đè hash của nhau. Bản trùng (status: "merged") không bao giờ được import ghi đè.
+// seenAt (nguồn có track_removals): gắn last_seen_time và bỏ đánh dấu removed nếu record xuất hiện lại.
+const SEEN_UNSET = { status: "", removed_time: "", missing_since: "" };
+
+function applyUpdate(doc, { $set = {}, $unset = {} }) {
+  const next = { ...doc };
+  for (const [f, v] of Object.entries($set)) {
+    // Chỉ có dạng "alias_hashes.<digest>" (một cấp)
+    const [field, sub] = f.split(".");
+    next[field] = sub ? { ...next[field], [sub]: v } : v;
+  }
+  for (const f of Object.keys($unset)) delete next[f];
+  return next;
+}
+
+// _key có thể chứa "." / "$" → dùng digest làm tên field trong alias_hashes
+function keyDigest(key) {
+  return crypto.createHash("sha1").update(key).digest("hex").slice(0, 16);
+}
+
+function isEmptyValue(v) {
+  return v === undefined || v === null || v === "" || (Array.isArray(v) && !v.length);
+}
+
+async function writeBatch(col, records, { fields, counts, seenAt, origin, embed, history }) {
+  const valid = records.filter(Boolean);
+  counts.failed += records.length - valid.length;
+  if (!valid.length) return;
+
+  const keys = valid.map(r => r._key);
+  const existing = await col.find(
+    { $or: [{ _key: { $in: keys } }, { aliases: { $in: keys } }], status: { $ne: "merged" } },
+    { projection: { vector: { $slice: 1 } } }
+  ).toArray();
+  const existingMap = new Map(existing.map(x => [x._key, x]));
+  const aliasMap = new Map(existing.flatMap(x => (x.aliases || []).map(a => [a, x])));
+  if (seenAt) counts.restored += existing.filter(x => x.status === "removed").length;
+  // Record gốc của document gộp có trong cùng batch → record alias chỉ điền field mà cả hai đều chưa có
+  const primaryInBatch = new Map(valid.filter(r => existingMap.has(r._key)).map(r => [String(existingMap.get(r._key)._id), r]));
+
+  const items = [];
+  const unchangedIds = [];
+  const entries = [];
+  for (const record of valid) {
+    const hash = contentHash(record);
+    const primary = existingMap.get(record._key);
+    const old = primary || aliasMap.get(record._key);
+    const isAlias = !!old && !primary;
+    const hashField = isAlias ? `alias_hashes.${keyDigest(record._key)}` : "content_hash";
+    const storedHash = isAlias ? old.alias_hashes?.[keyDigest(record._key)] : old?.content_hash;
+    if (old && storedHash === hash && hasVector(old)) {
+      counts.unchanged++;
+      unchangedIds.push(old._id);
+      if (seenAt && old.status === "removed") {
+        entries.push({ doc_id: old._id, op: "import", before: old, after: applyUpdate(old, { $unset: SEEN_UNSET }) });
+      }
+      continue;
+    }
+
+    let set = record;
+    if (isAlias) {
+      const base = { ...old, ...primaryInBatch.get(String(old._id)) };
+      const { _key, ...rest } = record;
+      set = Object.fromEntries(Object.entries(rest).filter(([f, v]) => isEmptyValue(base[f]) && !isEmptyValue(v)));
+    }
+    const text = embeddingText({ ...old, ...set }, fields);
+    const needsVector = !old || !hasVector(old) || !isCurrentModel(old) || embeddingText(old, fields) !== text;
+    // Record alias không điền thêm gì → chỉ lưu hash/last_seen_time
+    const kind = !old ? "new" : isAlias && !Object.keys(set).length && !needsVector ? "unchanged" : "updated";
+    items.push({ record, hash, hashField, set, text, needsVector, old, kind });
+  }
+  if (seenAt && unchangedIds.length) {
+    await col.updateMany({ _id: { $in: unchangedIds } }, { $set: { last_seen_time: seenAt }, $unset: SEEN_UNSET });
+  }
+  if (!items.length) {
+    await recordHistory(history.db, history.type, entries.map(e => ({ ...e, actor: history.actor, source: history.source })));
+    return;
+  }
+
+  const toEmbed = items.filter(x => x.needsVector);
+  const vectors = await embed(toEmbed.map(x => x.text));
+  toEmbed.forEach((x, i) => {
+    x.vector = vectors[i];
+  });
+
+  const ops = items.map(({ record, hash, hashField, set, vector, old }) => ({
+    updateOne: {
+      filter: old ? { _id: old._id } : { _key: record._key, status: { $ne: "merged" } },
+      update: {
+        $set: {
+          ...set,
+          [hashField]: hash,
+          ...(seenAt && { last_seen_time: seenAt }),
+          ...(vector && vectorFields(vector)),
+        },
+        $setOnInsert: { origin },
+        ...(seenAt && { $unset: SEEN_UNSET }),
+      },
+      upsert: true,
+    },
+  }));
+
+  const failed = new Set();
+  let upsertedIds = {};
+  try {
+    ({ upsertedIds } = await col.bulkWrite(ops, { ordered: false }));
+  } catch (err) {
+    if (!err.writeErrors) throw err;
+    const writeErrors = [].concat(err.writeErrors);
+    for (const e of writeErrors) failed.add(e.index);
+    upsertedIds = err.result?.upsertedIds || {};
+    console.error(`\n❌ ${failed.size} writes failed in batch:`, writeErrors[0]?.errmsg);
+  }
+  // Record ghi lỗi vẫn có trong nguồn → gắn last_seen_time cho document hiện có để markRemoved không soft-delete nó
+  const failedIds = items.filter((x, i) => failed.has(i) && x.old).map(x => x.old._id);
+  if (seenAt && failedIds.length) {
+    await col.updateMany({ _id: { $in: failedIds } }, { $set: { last_seen_time: seenAt } });
+  }
+  items.forEach((x, i) => {
+    counts[failed.has(i) ? "failed" : x.kind]++;
+    if (failed.has(i)) return;
+    const { $set, $setOnInsert, $unset } = ops[i].updateOne.update;
+    entries.push(x.old
+      ? { doc_id: x.old._id, op: "import", before: x.old, after: applyUpdate(x.old, { $set, $unset }) }
+      : { doc_id: upsertedIds[i], op: "create", before: null, after: { ...$setOnInsert, ...$set } });
+  });
+  await recordHistory(history.db, history.type, entries.map(e => ({ ...e, actor: history.actor, source: history.source })));
+}
+
+// ===== Soft-delete record không còn trong nguồn =====
+// since: thời điểm bắt đầu chuỗi lần chạy (kể cả các lần resume) → record chưa thấy từ đó là đã biến mất khỏi nguồn.
+// Lần đầu phát hiện thiếu: gắn missing_since; thiếu liên tục quá thời gian grace → status: "removed".
+async function markRemoved(col, { origin, since, now, seen, dryRun, history }) {
+  const missing = {
+    _key: { $exists: true },
+    origin: { $in: [origin, null] },
+    status: { $nin: ["removed", "merged"] },
+    $or: [{ last_seen_time: { $lt: since } }, { last_seen_time: { $exists: false } }],
+  };
+  const report = {
+    dry_run: dryRun,
+    grace_hours: REMOVAL_GRACE_HOURS,
+    missing: 0,
+    eligible: 0,
+    removed: 0,
+    skipped_reason: null,
+    sample: [],
+  };
+  if (!seen) {
+    report.skipped_reason = "feed returned no records";
+    return report;
+  }
+
+  if (!dryRun) {
+    await col.updateMany({ ...missing, missing_since: { $exists: false } }, { $set: { missing_since: now } });
+  }
+  // Dry-run không ghi missing_since → chỉ record đã thiếu từ các lần chạy trước mới được tính là eligible
+  const graceCutoff = new Date(now.getTime() - REMOVAL_GRACE_HOURS * 3600 * 1000);
+  const eligible = { ...missing, missing_since: { $lte: graceCutoff } };
+
+  const [missingCount, eligibleCount, total, sample] = await Promise.all([
+    col.countDocuments(missing),
+    col.countDocuments(eligible),
+    col.countDocuments({ status: { $nin: ["removed", "merged"] } }),
+    col.find(eligible, { projection: { _id: 0, _key: 1, missing_since: 1 } }).limit(20).toArray(),
+  ]);
+  Object.assign(report, { missing: missingCount, eligible: eligibleCount, sample });
+
+  if (!eligibleCount || dryRun) return report;
+  if (eligibleCount > total * REMOVAL_MAX_RATIO) {
+    report.skipped_reason = `${eligibleCount}/${total} records exceed IMPORT_REMOVAL_MAX_RATIO=${REMOVAL_MAX_RATIO}`;
+    return report;
+  }
+
+  const before = await col.find(eligible, { projection: { _id: 1, status: 1, removed_time: 1 } }).toArray();
+  const $set = { status: "removed", removed_time: now };
+  const result = await col.updateMany({ _id: { $in: before.map(d => d._id) } }, { $set });
+  report.removed = result.modifiedCount;
+  await recordHistory(history.db, history.type, before.map(d => ({
+    doc_id: d._id,
+    op: "remove",
+    before: d,
+    after: { ...d, ...$set },
+    actor: history.actor,
+    source: history.source,
+  })));
+  return report;
+}
+
+// ===== Import một nguồn =====
+// source: kết quả resolveSource() (sources.js)
+// options:
+//   embed(texts) → vectors (bắt buộc)
+//   fresh: bỏ qua checkpoint cũ; dryRunRemovals: chỉ báo cáo soft-delete
+//   actor: ai chạy (API key id | "importer"); progress: object được cập nhật { bytes, processed, counts }
+//   onStart(runId): gọi ngay khi đã tạo bản ghi import_runs
+// → { run_id, processed, counts, invalid_fields, removal }
+export async function importCollection(db, source, {
+  embed,
+  fields = EMBED_FIELDS[source.type],
+  fresh = false,
+  dryRunRemovals = false,
+  actor = "importer",
+  progress = {},
+  onStart = null,
+} = {}) {
+  const adapter = ADAPTERS[source.adapter];
+  if (!adapter) throw new Error(`Unknown adapter '${source.adapter}'`);
+
+  const name = source.type;
+  const col = db.collection(name);
+  const runs = await Runs(db);
+  const resumable = source.body === undefined;
+  const previous = resumable && !fresh ? await findResumableRun(runs, source) : null;
+  const offset = previous?.processed || 0;
+  if (previous) {
+    await runs.updateOne({ _id: previous._id }, { $set: { status: "resumed" } });
+    console.log(`↩️ Resuming "${source.name}" → "${name}" from record #${offset} (run ${previous._id})`);
+  }
+
+  const started = Date.now();
+  const startedAt = new Date(started);
+  // Resume: record đã thấy ở các lần chạy trước trong chuỗi vẫn được tính là có trong nguồn
+  const chainStarted = previous ? previous.chain_started_time || previous.started_time : startedAt;
+  const seenAt = source.track_removals ? startedAt : null;
+  const counts = { new: 0, updated: 0, unchanged: 0, restored: 0, failed: 0 };
+  const invalid = {};
+  const { insertedId: runId } = await runs.insertOne({
+    collection: name,
+    source: source.name,
+    adapter: source.adapter,
+    location: sourceLocation(source),
+    status: "running",
+    started_by: actor,
+    resumed_from: previous?._id || null,
+    offset,
+    processed: offset,
+    counts,
+    started_time: startedAt,
+    chain_started_time: chainStarted,
+  });
+  onStart?.(runId);
+  // Lịch sử thay đổi: actor là API key (upload) hoặc "importer", source là nguồn + lần chạy
+  const history = { db, type: name, actor, source: { name: source.name, run_id: runId } };
+
+  // processed: số record đã đọc; checkpoint: số record đã ghi xong (lưu trong import_runs)
+  let processed = offset;
+  let checkpoint = offset;
+  let batch = [];
+  Object.assign(progress, { bytes: 0, processed, counts });
+
+  const flush = async () => {
+    await writeBatch(col, batch, { fields, counts, seenAt, origin: source.name, embed, history });
+    batch = [];
+    checkpoint = processed;
+    await runs.updateOne({ _id: runId }, { $set: { processed: checkpoint, counts } });
+  };
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        let index = 0;
+        for await (const raw of adapter.records(source, progress)) {
+          if (index++ < processed) continue;
+          batch.push(normalizeRecord(name, mapRecord(raw, source), invalid));
+          progress.processed = ++processed;
+          if (batch.length >= BATCH_SIZE) await flush();
+        }
+        await flush();
+        break;
+      } catch (err) {
+        if (attempt >= MAX_ATTEMPTS || !(err.isAxiosError || NETWORK_ERROR_CODES.has(err.code))) throw err;
+        // Bỏ batch chưa ghi, đọc lại từ checkpoint
+        console.error(`\n❌ Stream error (attempt ${attempt}): ${err.message} → resuming from record #${checkpoint}`);
+        batch = [];
+        processed = checkpoint;
+      }
+    }
+
+    const removal = source.track_removals
+      ? await markRemoved(col, { origin: source.name, since: chainStarted, now: new Date(), seen: processed, dryRun: dryRunRemovals, history })
+      : null;
+
+    await runs.updateOne(
+      { _id: runId },
+      {
+        $set: {
+          status: "completed",
+          processed,
+          counts,
+          invalid_fields: invalid,
+          removal,
+          finished_time: new Date(),
+          duration_ms: Date.now() - started,
+        },
+      }
+    );
+    return { run_id: runId, processed, counts, invalid_fields: invalid, removal };
+  } catch (err) {
+    await runs.updateOne(
+      { _id: runId },
+      {
+        $set: {
+          status: "failed",
+          processed: checkpoint,
+          counts,
+          invalid_fields: invalid,
+          error: err.message,
+          finished_time: new Date(),
+          duration_ms: Date.now() - started,
+        },
+      }
+    );
+    err.processed = checkpoint;
+    throw err;
+  }
+}
+
+// Lịch sử import (mới nhất trước)
+export async function listImportRuns(db, { collection, source, limit = 20 } = {}) {
+  const filter = {};
+  if (collection) filter.collection = collection;
+  if (source) filter.source = source;
+  return (await Runs(db)).find(filter).sort({ started_time: -1 }).limit(limit).toArray();
+}
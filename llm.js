@@ -1,130 +1,449 @@
 // llm.js
 import axios from "axios";
+import { getModelConfig, apiKeyFor } from "./models.js";
 
-// ==== Map model_id → provider + model ====
-const modelMap = {
-  // OpenAI
-  "gpt-5": { provider: "openai", model: "gpt-5" },
-  "gpt-5-mini": { provider: "openai", model: "gpt-5-mini" },
-  "gpt-4.1": { provider: "openai", model: "gpt-4.1" },
-  "gpt-4.1-mini": { provider: "openai", model: "gpt-4.1-mini" },
-
-  // Gemini
-  "gemini-2.5-pro": { provider: "gemini", model: "gemini-2.5-pro" },
-  "gemini-2.5-flash": { provider: "gemini", model: "gemini-2.5-flash" },
-  "gemini-2.5-flash-lite": { provider: "gemini", model: "gemini-2.5-flash-lite" },
-
-  // Qwen
-  "qwen-max": { provider: "qwen", model: "qwen-max" },
-  "qwen-plus": { provider: "qwen", model: "qwen-plus" },
-  "qwen-flash": { provider: "qwen", model: "qwen-flash" },
-};
+// Cấu hình model (provider, base_url, timeout, pricing...) nằm trong registry — xem models.js / models.json
 
-// ===== Qwen =====
-async function callQwen(prompt, model) {
-  const baseUrl = "https://dashscope-intl.aliyuncs.com/compatible-mode/v1";
+// ===== Messages (hội thoại nhiều lượt) =====
+// history: [{ role: "user" | "assistant", content }] — các lượt trước, prompt là lượt hiện tại
+function toMessages(prompt, history = []) {
+  return [
+    ...history.map(m => ({ role: m.role, content: m.content })),
+    { role: "user", content: prompt },
+  ];
+}
 
-  const res = await axios.post(
-    `${baseUrl}/chat/completions`,
-    {
-      model,
-      messages: [{ role: "user", content: prompt }],
+// Gemini dùng role "model" thay cho "assistant"
+function toGeminiContents(prompt, history = []) {
+  return toMessages(prompt, history).map(m => ({
+    role: m.role === "assistant" ? "model" : "user",
+    parts: [{ text: m.content }],
+  }));
+}
+
+// ===== Structured output (JSON schema) =====
+// structured_output của model: "json_schema" (strict) | "json_object" (chỉ ép JSON, prompt phải nói rõ JSON) | "none"
+function openAIResponseFormat(cfg, schema) {
+  if (!schema || cfg.structured_output === "none") return {};
+  if (cfg.structured_output === "json_object") return { response_format: { type: "json_object" } };
+  return { response_format: { type: "json_schema", json_schema: { name: "answer", schema, strict: true } } };
+}
+
+// Gemini responseSchema là tập con OpenAPI: type viết hoa, không có additionalProperties
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+  if (!schema || typeof schema !== "object") return schema;
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    if (k === "additionalProperties") continue;
+    if (k === "type" && typeof v === "string") out.type = v.toUpperCase();
+    else if (k === "properties") {
+      out.properties = Object.fromEntries(Object.entries(v).map(([p, s]) => [p, toGeminiSchema(s)]));
+    } else out[k] = toGeminiSchema(v);
+  }
+  return out;
+}
+
+// ===== Usage (token do provider báo về) =====
+function openAIUsage(u) {
+  if (!u) return null;
+  return { prompt_tokens: u.prompt_tokens ?? 0, completion_tokens: u.completion_tokens ?? 0 };
+}
+
+// Gemini 2.5: token "thinking" được tính phí như output
+function geminiUsage(u) {
+  if (!u) return null;
+  return {
+    prompt_tokens: u.promptTokenCount ?? 0,
+    completion_tokens: (u.candidatesTokenCount ?? 0) + (u.thoughtsTokenCount ?? 0),
+  };
+}
+
+// pricing: { input_per_1m, output_per_1m } (USD / 1 triệu token)
+export function computeCost(pricing, usage) {
+  if (!pricing || !usage) return null;
+  const cost = (usage.prompt_tokens * (pricing.input_per_1m || 0) +
+    usage.completion_tokens * (pricing.output_per_1m || 0)) / 1e6;
+  return Math.round(cost * 1e8) / 1e8;
+}
+
+// ===== OpenAI-compatible (OpenAI, Qwen DashScope, Ollama/vLLM/llama.cpp...) =====
+function chatCompletionsRequest(cfg, prompt, history, schema, extra = {}) {
+  const apiKey = apiKeyFor(cfg);
+  return {
+    url: `${cfg.base_url}/chat/completions`,
+    body: {
+      model: cfg.model,
+      messages: toMessages(prompt, history),
+      ...(cfg.max_tokens && { [cfg.max_tokens_param]: cfg.max_tokens }),
+      ...(cfg.temperature !== null && { temperature: cfg.temperature }),
+      ...openAIResponseFormat(cfg, schema),
+      ...extra,
     },
-    {
+    options: {
       headers: {
-        Authorization: `Bearer ${process.env.QWEN_API_KEY}`,
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
         "Content-Type": "application/json",
       },
-      timeout: 30000,
-    }
-  );
+      timeout: cfg.timeout_ms,
+    },
+  };
+}
 
-  return res.data.choices?.[0]?.message?.content || "";
+async function callChatCompletions(cfg, prompt, history, schema) {
+  const { url, body, options } = chatCompletionsRequest(cfg, prompt, history, schema);
+  const res = await axios.post(url, body, options);
+  return {
+    text: res.data.choices?.[0]?.message?.content || "",
+    usage: openAIUsage(res.data.usage),
+  };
 }
 
-// ===== OpenAI =====
-async function callOpenAI(prompt, model) {
-  const res = await axios.post(
-    "https://api.openai.com/v1/chat/completions",
-    {
-      model,
-      messages: [{ role: "user", content: prompt }],
+// ===== Gemini =====
+function geminiRequest(cfg, method, prompt, history, schema) {
+  const generationConfig = {
+    ...(cfg.max_tokens && { maxOutputTokens: cfg.max_tokens }),
+    ...(cfg.temperature !== null && { temperature: cfg.temperature }),
+    ...(schema && cfg.structured_output !== "none" && {
+      responseMimeType: "application/json",
+      ...(cfg.structured_output === "json_schema" && { responseSchema: toGeminiSchema(schema) }),
+    }),
+  };
+  const query = method === "streamGenerateContent" ? "alt=sse&" : "";
+
+  return {
+    url: `${cfg.base_url}/models/${cfg.model}:${method}?${query}key=${apiKeyFor(cfg)}`,
+    body: {
+      contents: toGeminiContents(prompt, history),
+      ...(Object.keys(generationConfig).length && { generationConfig }),
     },
-    {
-      headers: {
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      timeout: 30000,
+    options: {
+      headers: { "Content-Type": "application/json" },
+      timeout: cfg.timeout_ms,
+    },
+  };
+}
+
+async function callGemini(cfg, prompt, history, schema) {
+  const { url, body, options } = geminiRequest(cfg, "generateContent", prompt, history, schema);
+  const res = await axios.post(url, body, options);
+  return {
+    text: res.data.candidates?.[0]?.content?.parts?.[0]?.text || "",
+    usage: geminiUsage(res.data.usageMetadata),
+  };
+}
+
+// ===== Streaming (SSE) =====
+// Đọc stream "data: {...}" từ provider, trả về từng event JSON đã parse
+async function* readSSE(stream) {
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+  for await (const chunk of stream) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let idx;
+    while ((idx = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, idx).trim();
+      buffer = buffer.slice(idx + 1);
+      if (!line.startsWith("data:")) continue;
+      const data = line.slice(5).trim();
+      if (!data || data === "[DONE]") continue;
+      try {
+        yield JSON.parse(data);
+      } catch {
+        // bỏ qua dòng không phải JSON (keep-alive, comment...)
+      }
     }
-  );
+  }
+}
 
-  return res.data.choices?.[0]?.message?.content || "";
+// usage (object) được ghi khi provider gửi số token (thường ở event cuối)
+async function* streamChatCompletions(cfg, prompt, history, signal, usage) {
+  const { url, body, options } = chatCompletionsRequest(cfg, prompt, history, null, {
+    stream: true,
+    stream_options: { include_usage: true },
+  });
+  const res = await axios.post(url, body, { ...options, responseType: "stream", signal });
+
+  for await (const event of readSSE(res.data)) {
+    if (event.usage) Object.assign(usage, openAIUsage(event.usage));
+    const delta = event.choices?.[0]?.delta?.content;
+    if (delta) yield delta;
+  }
 }
 
-// ===== Gemini =====
-async function callGemini(prompt, model) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${process.env.GEMINI_API_KEY}`;
+async function* streamGemini(cfg, prompt, history, signal, usage) {
+  const { url, body, options } = geminiRequest(cfg, "streamGenerateContent", prompt, history, null);
+  const res = await axios.post(url, body, { ...options, responseType: "stream", signal });
+
+  for await (const event of readSSE(res.data)) {
+    if (event.usageMetadata) Object.assign(usage, geminiUsage(event.usageMetadata));
+    const parts = event.candidates?.[0]?.content?.parts || [];
+    const text = parts.map(p => p.text || "").join("");
+    if (text) yield text;
+  }
+}
+
+// Adapter theo provider type
+const ADAPTERS = {
+  "openai-compatible": { call: callChatCompletions, stream: streamChatCompletions },
+  gemini: { call: callGemini, stream: streamGemini },
+};
+
+// ===== Lỗi LLM =====
+export class LLMError extends Error {
+  constructor(message, { code = "provider_error", provider = null, model_id = null, status = null, retryable = false } = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.code = code;
+    this.provider = provider;
+    this.model_id = model_id;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
 
-  const res = await axios.post(
-    url,
+// Mọi model trong chuỗi fallback đều lỗi
+export class LLMExhaustedError extends LLMError {
+  constructor(attempts, errors) {
+    const allOpen = errors.length > 0 && errors.every(e => e.code === "circuit_open");
+    super(`Tất cả provider đều lỗi (${errors.map(e => e.model_id).join(" → ")})`, {
+      code: allOpen ? "circuit_open" : "all_failed",
+    });
+    this.name = "LLMExhaustedError";
+    this.attempts = attempts;
+    this.errors = errors;
+  }
+}
+
+function toLLMError(err, info, model_id) {
+  if (err instanceof LLMError) return err;
+  const status = err.response?.status ?? null;
+  const network = !err.response && (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT" ||
+    err.code === "ECONNRESET" || err.code === "ENOTFOUND" || err.code === "EAI_AGAIN" || /timeout/i.test(err.message));
+  return new LLMError(`Lỗi gọi ${info.provider}: ${err.message}`, {
+    provider: info.provider,
+    model_id,
+    status,
+    retryable: network || status === 429 || (status >= 500 && status < 600),
+  });
+}
+
+// ===== Retry + fallback + circuit breaker =====
+const MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES ?? 2);
+const RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS || 500);
+const CIRCUIT_THRESHOLD = Number(process.env.LLM_CIRCUIT_THRESHOLD || 5);
+const CIRCUIT_COOLDOWN_MS = Number(process.env.LLM_CIRCUIT_COOLDOWN_MS || 30000);
+
+// Chuỗi mặc định: model được yêu cầu trước, sau đó lần lượt các model này
+const DEFAULT_FALLBACK_CHAIN = (process.env.LLM_FALLBACK_CHAIN || "qwen-max,gemini-2.5-flash,gpt-4.1-mini")
+  .split(",").map(x => x.trim()).filter(Boolean);
+
+// fallback: false → không fallback; mảng model_id → dùng chuỗi này; mặc định → DEFAULT_FALLBACK_CHAIN
+function resolveChain(model_id, fallback) {
+  const rest = fallback === false ? [] : Array.isArray(fallback) ? fallback : DEFAULT_FALLBACK_CHAIN;
+  return [...new Set([model_id, ...rest])];
+}
+
+// Trạng thái circuit theo provider: closed → open (sau N request lỗi liên tiếp) → half-open (hết cooldown:
+// đúng một request "probe" được đi qua, các request khác vẫn bị chặn đến khi probe xong)
+// Chỉ lỗi tạm thời (retryable: 429/5xx/timeout) được đếm, mỗi request một lần dù đã retry bao nhiêu lần;
+// lỗi 400/401... là lỗi của request/cấu hình, không phải provider đang sập.
+const circuits = new Map();
+
+function circuitFor(provider) {
+  if (!circuits.has(provider)) circuits.set(provider, { failures: 0, openedAt: null, probing: false });
+  return circuits.get(provider);
+}
+
+function circuitOpen(c) {
+  return !!c.openedAt && (c.probing || Date.now() - c.openedAt < CIRCUIT_COOLDOWN_MS);
+}
+
+// → "closed" | "probe" (request này là probe của half-open) | null (bị chặn)
+function acquireCircuit(provider) {
+  const c = circuitFor(provider);
+  if (!c.openedAt) return "closed";
+  if (circuitOpen(c)) return null;
+  c.probing = true;
+  return "probe";
+}
+
+function recordSuccess(provider) {
+  const c = circuitFor(provider);
+  c.failures = 0;
+  c.openedAt = null;
+  c.probing = false;
+}
+
+function recordFailure(provider) {
+  const c = circuitFor(provider);
+  c.failures++;
+  if (c.failures >= CIRCUIT_THRESHOLD || c.openedAt) {
+    if (!c.openedAt) console.warn(`⚠️ Circuit open: provider=${provider}`);
+    c.openedAt = Date.now();
+  }
+  c.probing = false;
+}
+
+// Probe kết thúc bằng lỗi không đếm (vd. 400) → không kết luận được, request sau được probe lại
+function releaseProbe(provider) {
+  circuitFor(provider).probing = false;
+}
+
+export function getCircuitState() {
+  return Object.fromEntries([...circuits].map(([provider, c]) => [
+    provider,
     {
-      contents: [
-        {
-          role: "user",
-          parts: [{ text: prompt }],
-        },
-      ],
+      state: !c.openedAt ? "closed" : circuitOpen(c) && !c.probing ? "open" : "half-open",
+      failures: c.failures,
     },
-    {
-      headers: { "Content-Type": "application/json" },
-      timeout: 30000,
+  ]));
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function backoffMs(err, attempt) {
+  const retryAfter = Number(err.retryAfter);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter * 1000, 10000);
+  return RETRY_BASE_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * RETRY_BASE_MS);
+}
+
+// Chạy `run(info, model_id)` theo chuỗi fallback, retry lỗi tạm thời (429/5xx/timeout)
+async function withFallback(model_id, fallback, run, { signal } = {}) {
+  const errors = [];
+  let attempts = 0;
+
+  for (const id of resolveChain(model_id, fallback)) {
+    const info = await getModelConfig(id);
+    if (!info) {
+      errors.push({ model_id: id, code: "unsupported_model", message: `Model_id '${id}' không được hỗ trợ` });
+      continue;
+    }
+    const access = acquireCircuit(info.provider);
+    if (!access) {
+      errors.push({ model_id: id, provider: info.provider, code: "circuit_open", message: "Circuit open" });
+      continue;
     }
-  );
 
-  return res.data.candidates?.[0]?.content?.parts?.[0]?.text || "";
+    let lastError = null;
+    try {
+      for (let attempt = 1; attempt <= MAX_RETRIES + 1; attempt++) {
+        attempts++;
+        try {
+          if (!ADAPTERS[info.type]) {
+            throw new LLMError(`Provider type '${info.type}' không hỗ trợ`, { provider: info.provider, model_id: id });
+          }
+          const result = await run(info, id);
+          lastError = null;
+          recordSuccess(info.provider);
+          return { ...result, info, model_id: id, attempts, errors };
+        } catch (raw) {
+          if (signal?.aborted) throw raw;
+          const err = toLLMError(raw, info, id);
+          err.retryAfter = raw.response?.headers?.["retry-after"];
+          console.error(`❌ LLM error (${id}, attempt ${attempt}):`, raw.response?.data || raw.message);
+          errors.push({ model_id: id, provider: info.provider, status: err.status, code: err.code, message: err.message });
+          lastError = err;
+
+          // Probe chỉ thử một lần; request khác đã mở lại circuit → chuyển sang model tiếp theo
+          if (!err.retryable || attempt > MAX_RETRIES || access === "probe" || circuitOpen(circuitFor(info.provider))) break;
+          await sleep(backoffMs(err, attempt));
+        }
+      }
+    } finally {
+      // Hết retry với lỗi tạm thời → đếm một lỗi cho request này; còn lại (lỗi 4xx, client hủy) chỉ trả probe
+      if (lastError?.retryable && !signal?.aborted) recordFailure(info.provider);
+      else if (access === "probe" && circuitFor(info.provider).probing) releaseProbe(info.provider);
+    }
+  }
+
+  throw new LLMExhaustedError(attempts, errors);
 }
 
 // ===== Hàm gọi LLM chung =====
-export async function callLLM(prompt, model_id = "qwen-max") {
-  const info = modelMap[model_id];
-  if (!info) {
-    return {
-      provider: null,
-      model: model_id,
-      answer: `❌ Model_id '${model_id}' không được hỗ trợ`,
-    };
+// schema: JSON schema → yêu cầu provider trả về JSON (structured output), answer là chuỗi JSON
+// fallback: false | [model_id...] (mặc định DEFAULT_FALLBACK_CHAIN)
+// Ném LLMError nếu model không hỗ trợ, LLMExhaustedError nếu mọi provider trong chuỗi đều lỗi
+export async function callLLM(prompt, model_id = "qwen-max", { history = [], schema = null, fallback } = {}) {
+  if (!(await getModelConfig(model_id))) {
+    throw new LLMError(`Model_id '${model_id}' không được hỗ trợ`, { code: "unsupported_model", model_id });
   }
 
-  console.log(`⚡ callLLM: provider=${info.provider}, model=${info.model}`);
+  const result = await withFallback(model_id, fallback, async (info, id) => {
+    console.log(`⚡ callLLM: provider=${info.provider}, model=${info.model} (${id})`);
+    const { text, usage } = await ADAPTERS[info.type].call(info, prompt, history, schema);
+    return { answer: text, usage };
+  });
 
-  try {
-    let answer = "";
-    switch (info.provider) {
-      case "qwen":
-        answer = await callQwen(prompt, info.model);
-        break;
-      case "openai":
-        answer = await callOpenAI(prompt, info.model);
-        break;
-      case "gemini":
-        answer = await callGemini(prompt, info.model);
-        break;
-      default:
-        answer = `❌ Provider '${info.provider}' không hỗ trợ`;
+  return {
+    provider: result.info.provider,
+    model: result.info.model,
+    model_id: result.model_id,
+    answer: result.answer,
+    usage: result.usage,
+    cost_usd: computeCost(result.info.pricing, result.usage),
+    attempts: result.attempts,
+    fallback_used: result.model_id !== model_id,
+    errors: result.errors,
+  };
+}
+
+// ===== Hàm stream LLM chung =====
+// Async generator trả về từng đoạn text (delta). Fallback/retry chỉ áp dụng trước khi delta đầu tiên được gửi.
+// meta (object tùy chọn) được ghi { provider, model, model_id, attempts, fallback_used, errors } khi stream bắt đầu,
+// và { usage, cost_usd } khi stream kết thúc (usage = null nếu provider không báo số token).
+export async function* streamLLM(prompt, model_id = "qwen-max", { signal, history = [], fallback, meta = {} } = {}) {
+  if (!(await getModelConfig(model_id))) {
+    throw new LLMError(`Model_id '${model_id}' không được hỗ trợ`, { code: "unsupported_model", model_id });
+  }
+
+  // Lấy delta đầu tiên trong withFallback để lỗi kết nối/HTTP vẫn được retry/fallback.
+  // Mỗi lần thử có AbortController riêng (gắn với signal của client): lần thử thua bị hủy để đóng response.
+  let usage = {};
+  const result = await withFallback(model_id, fallback, async (info, id) => {
+    console.log(`⚡ streamLLM: provider=${info.provider}, model=${info.model} (${id})`);
+    usage = {};
+    const controller = new AbortController();
+    const attemptSignal = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal;
+    const iterator = ADAPTERS[info.type].stream(info, prompt, history, attemptSignal, usage);
+    try {
+      const first = await iterator.next();
+      return { iterator, first, controller };
+    } catch (err) {
+      controller.abort();
+      await iterator.return?.().catch(() => {});
+      throw err;
     }
+  }, { signal });
 
-    return {
-      provider: info.provider,
-      model: info.model,
-      answer,
-    };
+  Object.assign(meta, {
+    provider: result.info.provider,
+    model: result.info.model,
+    model_id: result.model_id,
+    attempts: result.attempts,
+    fallback_used: result.model_id !== model_id,
+    errors: result.errors,
+  });
+
+  const finish = () => {
+    meta.usage = Object.keys(usage).length ? usage : null;
+    meta.cost_usd = computeCost(result.info.pricing, meta.usage);
+  };
+
+  if (result.first.done) return finish();
+  try {
+    yield result.first.value;
+    yield* result.iterator;
   } catch (err) {
-    console.error("❌ LLM error:", err.response?.data || err.message);
-    return {
-      provider: info.provider,
-      model: info.model,
-      answer: `❌ Lỗi gọi ${info.provider}: ${err.message}`,
-    };
+    throw toLLMError(err, result.info, result.model_id);
+  } finally {
+    // Client ngừng đọc giữa chừng → đóng luôn kết nối tới provider
+    result.controller.abort();
   }
+  finish();
+}
+
+// Trả về cấu hình của model_id (hoặc null nếu không hỗ trợ / bị tắt)
+export async function getModelInfo(model_id) {
+  return getModelConfig(model_id);
 }
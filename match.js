@@ -0,0 +1,181 @@
+// match.js — gợi ý nơi nộp bài từ tiêu đề + abstract
+import { searchByVector } from "./search.js";
+import { embed } from "./embedder.js";
+import { buildVectorFilters, quartilesAtLeast } from "./filters.js";
+import { callLLM, LLMError } from "./llm.js";
+
+const CHUNK_CHARS = 400;
+const MAX_CHUNKS = 8;
+
+// Chia abstract thành các đoạn ~CHUNK_CHARS ký tự theo ranh giới câu
+export function chunkText(text, maxChars = CHUNK_CHARS) {
+  const sentences = String(text || "")
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.!?])\s+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = "";
+  for (const s of sentences) {
+    if (current && current.length + s.length + 1 > maxChars) {
+      chunks.push(current);
+      current = s;
+    } else {
+      current = current ? `${current} ${s}` : s;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks.slice(0, MAX_CHUNKS);
+}
+
+// Ràng buộc của người dùng → query params của filters.js
+function constraintsToQuery(constraints = {}) {
+  const { min_quartile, deadline_from, deadline_to, region, max_apc } = constraints;
+  return {
+    journal: {
+      ...(min_quartile && { quartile: quartilesAtLeast(min_quartile).join(",") }),
+      ...(region && { region }),
+      ...(max_apc !== undefined && max_apc !== null && { apc_max: String(max_apc) }),
+    },
+    conference: {
+      ...(deadline_from && { deadline_from }),
+      ...(deadline_to && { deadline_to }),
+      ...(region && { location: region }),
+    },
+  };
+}
+
+// Điểm tổng hợp: 0.5 * điểm cao nhất + 0.5 * điểm trung bình trên mọi đoạn
+function aggregate(perChunk, chunkCount, topk) {
+  const byId = new Map();
+  perChunk.forEach(hits => {
+    for (const hit of hits) {
+      const id = String(hit._id);
+      const entry = byId.get(id) || { doc: hit, scores: [] };
+      entry.scores.push(hit.score);
+      byId.set(id, entry);
+    }
+  });
+
+  return [...byId.values()]
+    .map(({ doc, scores }) => {
+      const { score: _score, ...venue } = doc;
+      const max_score = Math.max(...scores);
+      const mean_score = scores.reduce((a, b) => a + b, 0) / chunkCount;
+      return {
+        ...venue,
+        score: 0.5 * max_score + 0.5 * mean_score,
+        max_score,
+        mean_score,
+        matched_chunks: scores.length,
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topk);
+}
+
+async function rankVenues(type, vectors, query, topk) {
+  const { filter, prefilter } = buildVectorFilters(type, query);
+  const perChunk = [];
+  for (const vector of vectors) {
+    perChunk.push(await searchByVector(vector, { type, topk: topk * 3, filter, prefilter }));
+  }
+  return aggregate(perChunk, vectors.length, topk);
+}
+
+/* ===================== LLM justification ===================== */
+function venueLine(v, i) {
+  if (v.type === "journal") {
+    return `[${i + 1}] Tạp chí: ${v.title || ""} | Lĩnh vực: ${v.areas || ""} | Danh mục: ${v.categories || ""} | Quartile: ${v.sjr_best_quartile || ""}`;
+  }
+  return `[${i + 1}] Hội thảo: ${v.name || v.title || ""} (${v.acronym || ""}) | Chủ đề: ${v.topics || ""} | Hạn nộp: ${v.deadline || ""}`;
+}
+
+function buildJustifyPrompt({ title, abstract, keywords }, venues) {
+  return `Bạn là trợ lý học thuật. Với bài báo dưới đây, đánh giá ngắn gọn (1-2 câu) mức độ phù hợp của từng nơi nộp.
+
+Tiêu đề: ${title || "Không có"}
+Từ khóa: ${keywords.join(", ") || "Không có"}
+Abstract: ${abstract || "Không có"}
+
+Danh sách nơi nộp:
+${venues.map(venueLine).join("\n")}
+
+Chỉ trả về JSON dạng {"1": "lý do...", "2": "lý do..."} với key là số thứ tự, không thêm gì khác. Viết bằng ngôn ngữ của abstract.`;
+}
+
+function parseJsonObject(text) {
+  const match = String(text || "").match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+}
+
+async function justify(paper, journals, conferences, model_id) {
+  const venues = [
+    ...journals.map(v => ({ ...v, type: "journal" })),
+    ...conferences.map(v => ({ ...v, type: "conference" })),
+  ];
+  if (!venues.length) return { justified: 0 };
+
+  // llm: { prompt, result?, error? } → app.js tính quota token + ghi usage (không trả về client)
+  const prompt = buildJustifyPrompt(paper, venues);
+  let result;
+  try {
+    result = await callLLM(prompt, model_id);
+  } catch (err) {
+    // Xếp hạng vẫn trả về được dù không có giải thích
+    if (err instanceof LLMError) return { justified: 0, error: err.message, code: err.code, llm: { prompt, error: err } };
+    throw err;
+  }
+  const llm = { prompt, result };
+  const parsed = parseJsonObject(result.answer);
+  if (!parsed) return { justified: 0, error: "Could not parse LLM justification", raw: result.answer, llm };
+
+  const all = [...journals, ...conferences];
+  let justified = 0;
+  all.forEach((v, i) => {
+    const reason = parsed[String(i + 1)];
+    if (typeof reason === "string" && reason.trim()) {
+      v.justification = reason.trim();
+      justified++;
+    }
+  });
+  return { justified, provider: result.provider, model: result.model, llm };
+}
+
+/* ===================== Match ===================== */
+export async function matchVenues({
+  title = "",
+  abstract = "",
+  keywords = [],
+  constraints = {},
+  topk = 10,
+  types = ["journal", "conference"],
+  justify: withJustification = false,
+  model_id,
+}) {
+  keywords = [].concat(keywords || []).map(String).map(k => k.trim()).filter(Boolean);
+
+  // Đoạn 1: tiêu đề + từ khóa, các đoạn sau: abstract
+  const head = [title, keywords.join(", ")].filter(Boolean).join(". ");
+  const chunks = [...(head ? [head] : []), ...chunkText(abstract)];
+  const vectors = [];
+  for (const c of chunks) vectors.push(await embed(c));
+
+  const query = constraintsToQuery(constraints);
+  const journals = types.includes("journal") ? await rankVenues("journal", vectors, query.journal, topk) : [];
+  const conferences = types.includes("conference")
+    ? await rankVenues("conference", vectors, query.conference, topk)
+    : [];
+
+  const { llm = null, ...justification } = withJustification
+    ? await justify({ title, abstract, keywords }, journals, conferences, model_id)
+    : {};
+
+  return { chunks: chunks.length, journals, conferences, justification: withJustification ? justification : null, llm };
+}
@@ -0,0 +1,108 @@
+// models.js — registry model LLM: models.json (hoặc MODEL_REGISTRY_FILE) + override từ Mongo
+//
+// Mỗi model kế thừa cấu hình provider của nó, rồi ghi đè bằng field riêng:
+//   base_url, api_key_env, timeout_ms, max_tokens, temperature, pricing, enabled, structured_output
+// Provider type: "openai-compatible" (OpenAI, DashScope, Ollama/vLLM/llama.cpp...) hoặc "gemini".
+// MODEL_REGISTRY_SOURCE=mongo → đọc thêm collection "llm_model" ({ _id: model_id, ...field }), cache theo TTL.
+import fs from "fs";
+import { getDb } from "./db.js";
+
+// models.json đọc lúc chạy → vercel.json liệt kê nó trong includeFiles (file MODEL_REGISTRY_FILE riêng cũng phải thêm vào đó)
+const REGISTRY_FILE = process.env.MODEL_REGISTRY_FILE
+  ? new URL(process.env.MODEL_REGISTRY_FILE, `file://${process.cwd()}/`)
+  : new URL("./models.json", import.meta.url);
+const REGISTRY_SOURCE = (process.env.MODEL_REGISTRY_SOURCE || "file").toLowerCase();
+const REGISTRY_TTL_MS = Number(process.env.MODEL_REGISTRY_TTL_MS || 60000);
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const STRUCTURED_MODES = ["json_schema", "json_object", "none"];
+
+function readFileRegistry() {
+  const raw = JSON.parse(fs.readFileSync(REGISTRY_FILE, "utf8"));
+  return { providers: raw.providers || {}, models: raw.models || {} };
+}
+
+const fileRegistry = readFileRegistry();
+
+let cache = null; // { registry, loadedAt }
+
+async function loadMongoModels() {
+  const db = await getDb();
+  const docs = await db.collection("llm_model").find({}).toArray();
+  return Object.fromEntries(docs.map(({ _id, model_id, ...rest }) => [model_id || String(_id), rest]));
+}
+
+export async function loadRegistry({ force = false } = {}) {
+  if (REGISTRY_SOURCE !== "mongo") return fileRegistry;
+  if (!force && cache && Date.now() - cache.loadedAt < REGISTRY_TTL_MS) return cache.registry;
+
+  try {
+    const overrides = await loadMongoModels();
+    const models = { ...fileRegistry.models };
+    for (const [id, m] of Object.entries(overrides)) models[id] = { ...models[id], ...m };
+    cache = { registry: { providers: fileRegistry.providers, models }, loadedAt: Date.now() };
+  } catch (err) {
+    console.error("❌ Model registry (mongo) load failed:", err.message);
+    if (!cache) return fileRegistry;
+  }
+  return cache.registry;
+}
+
+// Cấu hình đầy đủ của một model (provider + model), hoặc null nếu không có / bị tắt
+function resolve(registry, id) {
+  const m = registry.models[id];
+  if (!m || m.enabled === false) return null;
+  const p = registry.providers[m.provider];
+  if (!p) return null;
+
+  const cfg = { ...p, ...m };
+  const base_url = (cfg.base_url_env && process.env[cfg.base_url_env]) || cfg.base_url;
+  const structured_output = STRUCTURED_MODES.includes(cfg.structured_output) ? cfg.structured_output : "none";
+
+  return {
+    id,
+    provider: m.provider,
+    type: cfg.type,
+    model: cfg.model || id,
+    base_url: String(base_url || "").replace(/\/+$/, ""),
+    api_key_env: cfg.api_key_env || null,
+    api_key_optional: cfg.api_key_optional === true,
+    timeout_ms: Number(cfg.timeout_ms || DEFAULT_TIMEOUT_MS),
+    max_tokens: cfg.max_tokens ?? null,
+    max_tokens_param: cfg.max_tokens_param || "max_tokens",
+    temperature: cfg.temperature ?? null,
+    structured_output,
+    pricing: cfg.pricing || null,
+  };
+}
+
+export async function getModelConfig(id) {
+  return resolve(await loadRegistry(), id);
+}
+
+export function apiKeyFor(cfg) {
+  return cfg.api_key_env ? process.env[cfg.api_key_env] || "" : "";
+}
+
+// Danh sách model đang bật cho GET /api/models (không lộ base_url / tên biến môi trường)
+export async function listModels() {
+  const registry = await loadRegistry();
+  return Object.keys(registry.models)
+    .map(id => resolve(registry, id))
+    .filter(Boolean)
+    .map(cfg => ({
+      id: cfg.id,
+      provider: cfg.provider,
+      model: cfg.model,
+      available: cfg.api_key_optional || !cfg.api_key_env || Boolean(apiKeyFor(cfg)),
+      capabilities: {
+        streaming: true,
+        history: true,
+        structured_output: cfg.structured_output,
+      },
+      max_tokens: cfg.max_tokens,
+      temperature: cfg.temperature,
+      timeout_ms: cfg.timeout_ms,
+      pricing: cfg.pricing,
+    }));
+}
@@ -0,0 +1,279 @@
+// notifier.js — gửi thông báo (nhắc hạn nộp, ...) qua các "sink" cắm được
+//
+//   email   → SMTP (SMTP_HOST, SMTP_PORT=587, SMTP_SECURE=true cho cổng 465, SMTP_USER, SMTP_PASS, SMTP_FROM)
+//             Client SMTP tự viết, cố ý tối giản: chỉ gửi thư text/plain UTF-8 tới một người nhận qua một relay
+//             (STARTTLS + AUTH PLAIN). Có SMTP_USER mà kết nối không được mã hóa (server không có STARTTLS,
+//             SMTP_SECURE tắt) → từ chối gửi, không lộ mật khẩu dạng cleartext. Không hỗ trợ HTML/đính kèm, AUTH LOGIN/XOAUTH2, pool kết nối hay retry —
+//             cần những thứ đó thì đăng ký sink "email" khác (vd. bọc nodemailer) bằng registerSink().
+//   webhook → POST JSON tới URL của subscription (WEBHOOK_SECRET → header X-Signature: sha256=<hmac>)
+//             URL trỏ tới địa chỉ nội bộ (loopback, mạng riêng, link-local, ...) bị từ chối; WEBHOOK_ALLOWED_HOSTS
+//             (vd. "hooks.slack.com,example.org") → chỉ cho phép các domain này và subdomain của chúng
+//   test    → lưu trong bộ nhớ + log (dev / kiểm thử); NOTIFIER_SINK=test ép mọi kênh vào sink này
+// Sink khác: registerSink(name, { send(message) }), message = { channel, target, subject, text, payload }
+import crypto from "crypto";
+import net from "net";
+import http from "http";
+import https from "https";
+import tls from "tls";
+import os from "os";
+import dns from "dns";
+import axios from "axios";
+
+const FORCED_SINK = process.env.NOTIFIER_SINK || null;
+const TEST_OUTBOX_LIMIT = 200;
+
+/* ===================== SMTP ===================== */
+// Client SMTP tối giản: EHLO → STARTTLS (nếu server hỗ trợ) → AUTH PLAIN (chỉ qua TLS) → MAIL/RCPT/DATA
+function smtpConfig() {
+  const port = Number(process.env.SMTP_PORT || 587);
+  return {
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+  };
+}
+
+function smtpSession(socket) {
+  let buffer = "";
+  let waiting = null;
+  const lines = [];
+
+  const onData = chunk => {
+    buffer += chunk.toString("utf8");
+    let nl;
+    while ((nl = buffer.indexOf("\r\n")) >= 0) {
+      lines.push(buffer.slice(0, nl));
+      buffer = buffer.slice(nl + 2);
+    }
+    flush();
+  };
+  // Phản hồi nhiều dòng: "250-..." ... "250 ..." (dòng cuối có dấu cách sau mã)
+  const flush = () => {
+    if (!waiting) return;
+    const end = lines.findIndex(l => /^\d{3} /.test(l) || /^\d{3}$/.test(l));
+    if (end < 0) return;
+    const reply = lines.splice(0, end + 1);
+    const { resolve, reject, expect } = waiting;
+    waiting = null;
+    const code = Number(reply.at(-1).slice(0, 3));
+    if (!expect.includes(code)) reject(new Error(`SMTP ${code}: ${reply.join(" | ")}`));
+    else resolve({ code, lines: reply });
+  };
+
+  let current = socket;
+  const attach = s => {
+    current = s;
+    s.on("data", onData);
+    s.on("error", err => waiting?.reject(err));
+  };
+  attach(socket);
+
+  return {
+    read(expect) {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject, expect };
+        flush();
+      });
+    },
+    async command(line, expect) {
+      current.write(`${line}\r\n`);
+      return this.read(expect);
+    },
+    upgrade(host) {
+      current.removeListener("data", onData);
+      return new Promise((resolve, reject) => {
+        const secured = tls.connect({ socket: current, servername: host }, () => resolve());
+        secured.once("error", reject);
+        attach(secured);
+      });
+    },
+    get encrypted() {
+      return current instanceof tls.TLSSocket;
+    },
+    end() {
+      current.end();
+    },
+  };
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+async function sendMail({ to, subject, text }) {
+  const cfg = smtpConfig();
+  if (!cfg.host || !cfg.from) throw new Error("SMTP is not configured (SMTP_HOST, SMTP_FROM)");
+
+  const socket = await new Promise((resolve, reject) => {
+    const s = cfg.secure
+      ? tls.connect({ host: cfg.host, port: cfg.port, servername: cfg.host }, () => resolve(s))
+      : net.connect({ host: cfg.host, port: cfg.port }, () => resolve(s));
+    s.setTimeout(30000, () => s.destroy(new Error("SMTP timeout")));
+    s.once("error", reject);
+  });
+
+  const smtp = smtpSession(socket);
+  try {
+    await smtp.read([220]);
+    let ehlo = await smtp.command(`EHLO ${os.hostname()}`, [250]);
+    if (!cfg.secure && ehlo.lines.some(l => /STARTTLS/i.test(l))) {
+      await smtp.command("STARTTLS", [220]);
+      await smtp.upgrade(cfg.host);
+      ehlo = await smtp.command(`EHLO ${os.hostname()}`, [250]);
+    }
+    if (cfg.user) {
+      if (!smtp.encrypted) throw new Error("SMTP server does not offer STARTTLS; refusing to send credentials without TLS");
+      const token = Buffer.from(`\0${cfg.user}\0${cfg.pass || ""}`).toString("base64");
+      await smtp.command(`AUTH PLAIN ${token}`, [235]);
+    }
+    await smtp.command(`MAIL FROM:<${cfg.from.replace(/^.*<|>.*$/g, "")}>`, [250]);
+    await smtp.command(`RCPT TO:<${to}>`, [250, 251]);
+    await smtp.command("DATA", [354]);
+    // Dot-stuffing: dòng bắt đầu bằng "." → ".."
+    const data = buildMessage({ from: cfg.from, to, subject, text }).replace(/^\./gm, "..");
+    await smtp.command(`${data}\r\n.`, [250]);
+    await smtp.command("QUIT", [221]).catch(() => {});
+  } finally {
+    smtp.end();
+  }
+}
+
+/* ===================== Webhook target ===================== */
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+  .split(",")
+  .map(h => h.trim().toLowerCase())
+  .filter(Boolean);
+
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) PRIVATE_ADDRESSES.addSubnet(addr, prefix, "ipv4");
+for (const [addr, prefix] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(addr, prefix, "ipv6");
+}
+
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+// Kiểm tra URL webhook → { error } (không được phép) hoặc { address, family } (địa chỉ IP đã kiểm tra).
+// Lúc gửi, request đi tới đúng địa chỉ này (pinnedLookup) — không phân giải DNS lần hai (DNS rebinding).
+export async function resolveWebhookTarget(target) {
+  let url;
+  try {
+    url = new URL(String(target));
+  } catch {
+    return { error: "target must be an http(s) URL" };
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return { error: "target must be an http(s) URL" };
+
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (WEBHOOK_ALLOWED_HOSTS.length && !WEBHOOK_ALLOWED_HOSTS.some(h => host === h || host.endsWith(`.${h}`))) {
+    return { error: `target host must be one of ${WEBHOOK_ALLOWED_HOSTS.join(", ")}` };
+  }
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true });
+  } catch {
+    return { error: `target host '${host}' cannot be resolved` };
+  }
+  if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) {
+    return { error: "target must not point to a private or loopback address" };
+  }
+  return { address: addresses[0].address, family: addresses[0].family };
+}
+
+// Lý do URL webhook không được phép (null = hợp lệ); dùng lúc tạo subscription
+export async function webhookTargetError(target) {
+  return (await resolveWebhookTarget(target)).error || null;
+}
+
+// lookup cho http(s).Agent: luôn trả về địa chỉ đã kiểm tra (Node gọi với { all: true } khi autoSelectFamily)
+export function pinnedLookup({ address, family }) {
+  return (hostname, options, callback) => {
+    if (typeof options === "function") [callback, options] = [options, {}];
+    if (options?.all) callback(null, [{ address, family }]);
+    else callback(null, address, family);
+  };
+}
+
+/* ===================== Sinks ===================== */
+const testOutbox = [];
+
+const SINKS = {
+  email: {
+    async send({ target, subject, text }) {
+      await sendMail({ to: target, subject, text });
+    },
+  },
+  webhook: {
+    async send({ target, subject, text, payload }) {
+      const resolved = await resolveWebhookTarget(target);
+      if (resolved.error) throw new Error(`Webhook rejected: ${resolved.error}`);
+      const lookup = pinnedLookup(resolved);
+      const body = JSON.stringify({ subject, text, ...payload });
+      const headers = { "Content-Type": "application/json" };
+      if (process.env.WEBHOOK_SECRET) {
+        const hmac = crypto.createHmac("sha256", process.env.WEBHOOK_SECRET).update(body).digest("hex");
+        headers["X-Signature"] = `sha256=${hmac}`;
+      }
+      // Không theo redirect: URL đích đã được kiểm tra, Location có thể trỏ vào mạng nội bộ.
+      // Không qua proxy (HTTP_PROXY): proxy sẽ tự phân giải lại host, bỏ qua địa chỉ đã ghim.
+      await axios.post(target, body, {
+        headers,
+        timeout: 15000,
+        maxRedirects: 0,
+        proxy: false,
+        httpAgent: new http.Agent({ lookup }),
+        httpsAgent: new https.Agent({ lookup }),
+      });
+    },
+  },
+  test: {
+    async send(message) {
+      testOutbox.push({ ...message, sent_time: new Date() });
+      if (testOutbox.length > TEST_OUTBOX_LIMIT) testOutbox.shift();
+      console.log(`📨 [test sink] ${message.channel} → ${message.target}: ${message.subject}`);
+    },
+  },
+};
+
+export const CHANNELS = ["email", "webhook", "test"];
+
+export function registerSink(name, sink) {
+  if (typeof sink?.send !== "function") throw new Error("sink must have a send(message) function");
+  SINKS[name] = sink;
+}
+
+export function getTestOutbox() {
+  return [...testOutbox];
+}
+
+// message = { channel, target, subject, text, payload }
+export async function notify(message) {
+  const sink = SINKS[FORCED_SINK || message.channel];
+  if (!sink) throw new Error(`No notifier sink for channel '${message.channel}'`);
+  await sink.send(message);
+}
@@ -0,0 +1,113 @@
+// pagination.js — phân trang bằng cursor (keyset) cho GET /api/journals, /api/conferences
+//
+// ?cursor= (rỗng cho trang đầu) → { limit, items, next_cursor }; next_cursor = null khi hết.
+// Cursor là base64url của { s: sort, v: [giá trị các field sort của item cuối], id: _id } — client coi như chuỗi mờ.
+// Trang sau = các document đứng sau (v, id) theo thứ tự sort + _id, nên không bị lệch khi có ghi xen giữa
+// như skip/limit. Mongo xếp null/thiếu field nhỏ nhất → điều kiện "đứng sau" xử lý riêng giá trị null.
+// $gt/$lt chỉ so được giá trị cùng kiểu BSON: created_time (Date từ API, chuỗi từ feed cũ) hay sjr (số / chuỗi
+// legacy) trộn kiểu → cursor làm mất document khác kiểu. Vì vậy cursor chỉ sort theo field một kiểu
+// (_id, *_at), xem parseCursorSort().
+import { BSON, ObjectId } from "mongodb";
+import { QueryError, combineFilters, parseSort } from "./filters.js";
+
+const { EJSON } = BSON;
+
+export const CURSOR_DEFAULT_LIMIT = 50;
+export const CURSOR_MAX_LIMIT = 500;
+// Mặc định: mới nhất trước theo _id (ObjectId tăng theo thời gian tạo)
+export const CURSOR_DEFAULT_SORT = { _id: -1 };
+// Tên sort của API → field Date tương ứng (deadline_at, start_at: xem schemas.js derived)
+const CURSOR_SORT_ALIASES = { deadline: "deadline_at", start_date: "start_at" };
+
+function invalidCursor(message, value) {
+  return new QueryError("Invalid query parameters", [{ param: "cursor", message, value }]);
+}
+
+function isScalar(v) {
+  return v === null || ["string", "number", "boolean"].includes(typeof v) || v instanceof Date || v instanceof ObjectId;
+}
+
+export function encodeCursor(sort, doc) {
+  const payload = { s: sort, v: Object.keys(sort).map(f => doc[f] ?? null), id: doc._id };
+  return Buffer.from(EJSON.stringify(payload)).toString("base64url");
+}
+
+// "" → trang đầu (null); cursor phải được tạo với cùng sort
+export function decodeCursor(value, sort) {
+  if (value === undefined || value === "") return null;
+  let payload;
+  try {
+    payload = EJSON.parse(Buffer.from(String(value), "base64url").toString("utf8"));
+  } catch {
+    throw invalidCursor("cursor is malformed", value);
+  }
+  const fields = Object.keys(sort);
+  const valid =
+    payload &&
+    Array.isArray(payload.v) &&
+    payload.v.length === fields.length &&
+    payload.v.every(isScalar) &&
+    payload.id instanceof ObjectId;
+  if (!valid) throw invalidCursor("cursor is malformed", value);
+  if (JSON.stringify(payload.s) !== JSON.stringify(sort)) {
+    throw invalidCursor("cursor was created with a different sort", value);
+  }
+  return { values: payload.v, id: payload.id };
+}
+
+// ?sort= khi dùng cursor: allowed chỉ gồm field một kiểu (hoặc alias của chúng)
+export function parseCursorSort(value, allowed) {
+  let sort;
+  try {
+    sort = parseSort(value, allowed, CURSOR_DEFAULT_SORT);
+  } catch (err) {
+    for (const d of err.details || []) d.message += " when using cursor";
+    throw err;
+  }
+  return Object.fromEntries(Object.entries(sort).map(([f, dir]) => [CURSOR_SORT_ALIASES[f] || f, dir]));
+}
+
+// Điều kiện "đứng sau" một field: dir 1 → lớn hơn (null đứng đầu), dir -1 → nhỏ hơn (null đứng cuối)
+function after(field, value, dir) {
+  if (value === null) return dir === 1 ? { [field]: { $ne: null } } : null;
+  return dir === 1 ? { [field]: { $gt: value } } : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+}
+
+// Filter keyset: (f1 > v1) OR (f1 = v1 AND f2 > v2) OR ... OR (tất cả bằng AND _id > id)
+function cursorFilter(sort, cursor) {
+  if (!cursor) return {};
+  const fields = Object.keys(sort);
+  const branches = [];
+  const equal = [];
+  fields.forEach((f, i) => {
+    const cond = after(f, cursor.values[i], sort[f]);
+    if (cond) branches.push(equal.length ? { $and: [...equal, cond] } : cond);
+    equal.push({ [f]: cursor.values[i] });
+  });
+  // Sort có _id thì thứ tự đã duy nhất, không cần khóa phụ
+  if (!("_id" in sort)) branches.push({ $and: [...equal, { _id: { $gt: cursor.id } }] });
+  return { $or: branches };
+}
+
+export function cursorLimit(query) {
+  if (query.limit === undefined || query.limit === "") return CURSOR_DEFAULT_LIMIT;
+  const n = Number(query.limit);
+  if (!Number.isInteger(n) || n < 1 || n > CURSOR_MAX_LIMIT) {
+    throw new QueryError("Invalid query parameters", [
+      { param: "limit", message: `limit must be an integer between 1 and ${CURSOR_MAX_LIMIT} when using cursor`, value: query.limit },
+    ]);
+  }
+  return n;
+}
+
+// Lấy limit + 1 document để biết còn trang sau không; _id là khóa phụ để thứ tự là duy nhất
+export async function findPage(col, filter, { sort, cursor, limit, projection }) {
+  const docs = await col
+    .find(combineFilters(filter, cursorFilter(sort, cursor)), { projection })
+    .sort("_id" in sort ? sort : { ...sort, _id: 1 })
+    .limit(limit + 1)
+    .toArray();
+  const items = docs.slice(0, limit);
+  const last = items.at(-1);
+  return { items, next_cursor: docs.length > limit ? encodeCursor(sort, last) : null };
+}
@@ -0,0 +1,238 @@
+// ratelimit.js — token bucket theo IP / API key + quota token LLM theo ngày
+//
+// RATE_LIMIT_STORE=memory | mongo (mặc định mongo trên Vercel vì instance không giữ state, còn lại memory)
+// RATE_LIMIT_IP="10/60"   → request ẩn danh: 10 request / 60s mỗi IP
+// RATE_LIMIT_KEY="60/60"  → request có API key: 60 request / 60s mỗi key (admin không giới hạn)
+// AGENT_DAILY_TOKENS_ANON / AGENT_DAILY_TOKENS_KEY → quota token LLM mỗi ngày (UTC), 0 = không giới hạn;
+// key có field daily_token_quota thì dùng giá trị đó; key admin mặc định không giới hạn.
+import { getDb } from "./db.js";
+
+function parseRate(value, fallback) {
+  const [capacity, windowSec] = String(value || fallback).split("/").map(Number);
+  return { capacity, windowSec: windowSec || 60 };
+}
+
+const IP_RATE = parseRate(process.env.RATE_LIMIT_IP, "10/60");
+const KEY_RATE = parseRate(process.env.RATE_LIMIT_KEY, "60/60");
+const ANON_DAILY_TOKENS = Number(process.env.AGENT_DAILY_TOKENS_ANON ?? 50000);
+const KEY_DAILY_TOKENS = Number(process.env.AGENT_DAILY_TOKENS_KEY ?? 500000);
+const STORE = (process.env.RATE_LIMIT_STORE || (process.env.VERCEL ? "mongo" : "memory")).toLowerCase();
+
+/* ===================== Stores ===================== */
+// take(key, { capacity, windowSec, cost }) → { allowed, tokens }
+// addCounter(key, amount, expiresAt) / getCounter(key) → số đã dùng
+
+const MEMORY_PRUNE_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore() {
+  const buckets = new Map();
+  const counters = new Map();
+  let prunedAt = Date.now();
+
+  // Bỏ bucket đã đầy lại (giống không có entry) và counter hết hạn → Map không lớn dần theo số IP
+  function prune(now) {
+    if (now - prunedAt < MEMORY_PRUNE_INTERVAL_MS) return;
+    prunedAt = now;
+    for (const [key, b] of buckets) if (b.expiresAt <= now) buckets.delete(key);
+    for (const [key, c] of counters) if (c.expiresAt <= now) counters.delete(key);
+  }
+
+  return {
+    name: "memory",
+
+    async take(key, { capacity, windowSec, cost = 1 }) {
+      const now = Date.now();
+      prune(now);
+      const refillPerMs = capacity / (windowSec * 1000);
+      const b = buckets.get(key) || { tokens: capacity, ts: now };
+      b.tokens = Math.min(capacity, b.tokens + (now - b.ts) * refillPerMs);
+      b.ts = now;
+      const allowed = b.tokens >= cost;
+      if (allowed) b.tokens -= cost;
+      b.expiresAt = now + windowSec * 1000;
+      buckets.set(key, b);
+      return { allowed, tokens: b.tokens };
+    },
+
+    async addCounter(key, amount, expiresAt) {
+      prune(Date.now());
+      const c = counters.get(key);
+      const value = (c && c.expiresAt > Date.now() ? c.value : 0) + amount;
+      counters.set(key, { value, expiresAt: expiresAt.getTime() });
+      return value;
+    },
+
+    async getCounter(key) {
+      const c = counters.get(key);
+      return c && c.expiresAt > Date.now() ? c.value : 0;
+    },
+  };
+}
+
+function createMongoStore() {
+  let ready = null;
+  const collections = () => {
+    if (!ready) {
+      ready = (async () => {
+        const db = await getDb();
+        const buckets = db.collection("rate_limit");
+        const counters = db.collection("rate_quota");
+        await Promise.all([
+          buckets.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 }),
+          counters.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 }),
+        ]);
+        return { buckets, counters };
+      })().catch(err => {
+        ready = null;
+        throw err;
+      });
+    }
+    return ready;
+  };
+
+  return {
+    name: "mongo",
+
+    // Refill + trừ token trong một update pipeline (atomic trên một document)
+    async take(key, { capacity, windowSec, cost = 1 }) {
+      const { buckets } = await collections();
+      const now = Date.now();
+      const refillPerMs = capacity / (windowSec * 1000);
+      const doc = await buckets.findOneAndUpdate(
+        { _id: key },
+        [
+          {
+            $set: {
+              tokens: {
+                $min: [
+                  capacity,
+                  {
+                    $add: [
+                      { $ifNull: ["$tokens", capacity] },
+                      { $multiply: [{ $subtract: [now, { $ifNull: ["$ts", now] }] }, refillPerMs] },
+                    ],
+                  },
+                ],
+              },
+              ts: now,
+            },
+          },
+          { $set: { allowed: { $gte: ["$tokens", cost] } } },
+          {
+            $set: {
+              tokens: { $cond: ["$allowed", { $subtract: ["$tokens", cost] }, "$tokens"] },
+              expires_at: new Date(now + windowSec * 2000),
+            },
+          },
+        ],
+        { upsert: true, returnDocument: "after" }
+      );
+      return { allowed: doc.allowed, tokens: doc.tokens };
+    },
+
+    async addCounter(key, amount, expiresAt) {
+      const { counters } = await collections();
+      const doc = await counters.findOneAndUpdate(
+        { _id: key },
+        { $inc: { value: amount }, $set: { expires_at: expiresAt } },
+        { upsert: true, returnDocument: "after" }
+      );
+      return doc.value;
+    },
+
+    async getCounter(key) {
+      const { counters } = await collections();
+      const doc = await counters.findOne({ _id: key });
+      return doc && doc.expires_at > new Date() ? doc.value : 0;
+    },
+  };
+}
+
+const store = STORE === "mongo" ? createMongoStore() : createMemoryStore();
+
+export function getRateLimitInfo() {
+  return { store: store.name, ip: IP_RATE, key: KEY_RATE };
+}
+
+/* ===================== Helpers ===================== */
+function identity(req) {
+  if (req.apiKey) {
+    return {
+      id: `key:${req.apiKey.id}`,
+      rate: req.apiKey.role === "admin" ? null : KEY_RATE,
+      dailyTokens: req.apiKey.daily_token_quota ?? (req.apiKey.role === "admin" ? 0 : KEY_DAILY_TOKENS),
+    };
+  }
+  return { id: `ip:${req.ip}`, rate: IP_RATE, dailyTokens: ANON_DAILY_TOKENS };
+}
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+function setRateHeaders(res, rate, tokens) {
+  const remaining = Math.max(0, Math.floor(tokens));
+  // Thời gian (s) để bucket đầy lại
+  const reset = Math.ceil(((rate.capacity - tokens) / rate.capacity) * rate.windowSec);
+  res.set("RateLimit-Policy", `${rate.capacity};w=${rate.windowSec}`);
+  res.set("RateLimit-Limit", String(rate.capacity));
+  res.set("RateLimit-Remaining", String(remaining));
+  res.set("RateLimit-Reset", String(Math.max(0, reset)));
+}
+
+/* ===================== Middleware ===================== */
+// Token bucket theo IP (ẩn danh) hoặc theo key, rồi kiểm tra quota token LLM của ngày hiện tại
+export function rateLimit({ scope = "agent" } = {}) {
+  return async (req, res, next) => {
+    const who = identity(req);
+    req.rateLimitId = who.id;
+    req.dailyTokenQuota = who.dailyTokens;
+
+    try {
+      if (who.rate) {
+        const { allowed, tokens } = await store.take(`${scope}:${who.id}`, who.rate);
+        setRateHeaders(res, who.rate, tokens);
+        if (!allowed) {
+          const retryAfter = Math.max(1, Math.ceil((1 - tokens) / who.rate.capacity * who.rate.windowSec));
+          res.set("Retry-After", String(retryAfter));
+          return res.status(429).json({ error: "Too many requests", retry_after_seconds: retryAfter });
+        }
+      }
+
+      if (who.dailyTokens > 0) {
+        const used = await store.getCounter(`tokens:${utcDay()}:${who.id}`);
+        res.set("X-Token-Quota-Limit", String(who.dailyTokens));
+        res.set("X-Token-Quota-Remaining", String(Math.max(0, who.dailyTokens - used)));
+        if (used >= who.dailyTokens) {
+          const retryAfter = Math.ceil((nextUtcMidnight() - Date.now()) / 1000);
+          res.set("Retry-After", String(retryAfter));
+          return res.status(429).json({
+            error: "Daily LLM token quota exceeded",
+            quota: who.dailyTokens,
+            used,
+            retry_after_seconds: retryAfter
+          });
+        }
+      }
+      next();
+    } catch (err) {
+      // Store lỗi (vd. Mongo chập chờn) không chặn request
+      console.error("❌ Rate limit store error:", err.message);
+      next();
+    }
+  };
+}
+
+// Cộng số token LLM đã dùng vào quota ngày của người gọi (sau khi có usage)
+export async function chargeTokens(req, tokens) {
+  if (!req.rateLimitId || !(tokens > 0) || !(req.dailyTokenQuota > 0)) return;
+  try {
+    await store.addCounter(`tokens:${utcDay()}:${req.rateLimitId}`, tokens, nextUtcMidnight());
+  } catch (err) {
+    console.error("❌ Token quota update failed:", err.message);
+  }
+}
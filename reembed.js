@@ -0,0 +1,109 @@
+// reembed.js — CLI embed lại journal/conference khi đổi embedding model (xem embedder.js, embeddings.js)
+//
+//   node reembed.js --model multilingual-e5-small              → 1. embed vào vector_next (server vẫn chạy model cũ)
+//   node reembed.js --model multilingual-e5-small --cutover    → 2. chép vector_next vào `vector`
+//   node reembed.js --model multilingual-e5-small --in-place   → 3. embed thẳng các document còn lại
+//   node reembed.js --model multilingual-e5-small --dry-run    → chỉ báo cáo số vector theo model
+//   node reembed.js --type journal --limit 5000 --batch 50     → mặc định model theo EMBEDDING_MODEL trong .env
+// Bước 1 chạy lại được bất cứ lúc nào: document đã có vector chờ với nội dung không đổi bị bỏ qua.
+// Bước 2 ngay trước khi khởi động lại server với EMBEDDING_MODEL mới (model mới khác chiều → tạo lại
+// Atlas vector index với numDimensions mới); bước 3 sau khi server đã chạy model mới, cho các document
+// được sửa/thêm trong lúc migrate. --in-place khi server chưa chạy (vd. cài đặt mới) thì chỉ cần bước này.
+import "dotenv/config";
+import ora from "ora";
+
+function parseArgs(argv) {
+  const args = { flags: new Set() };
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!m) continue;
+    if (m[2] !== undefined) args[m[1]] = m[2];
+    else if (argv[i + 1] && !argv[i + 1].startsWith("--")) args[m[1]] = argv[++i];
+    else args.flags.add(m[1]);
+  }
+  return args;
+}
+
+function printStats(stats) {
+  for (const [type, s] of Object.entries(stats.collections)) {
+    const models = s.models.map(m => `${m.current ? "✔" : "✘"} ${m.model} (dim ${m.dim}): ${m.count}`).join(" | ") || "no vectors";
+    const staged = s.staged.map(m => `${m.model}: ${m.count}`).join(" | ");
+    console.log(`📊 ${type}: ${models} | missing ${s.missing}${s.mixed ? " | ⚠️ mixed models" : ""}${staged ? ` | staged ${staged}` : ""}`);
+  }
+}
+
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+  // Model được chọn lúc load embedder.js → đặt env trước khi import
+  if (args.model) process.env.EMBEDDING_MODEL = args.model;
+  const { getEmbeddingModel } = await import("./embedder.js");
+  const { embeddingStats, migrateEmbeddings, cutoverEmbeddings, EMBED_TYPES } = await import("./embeddings.js");
+  const { closeDb } = await import("./db.js");
+
+  try {
+    const type = args.type || "all";
+    const types = type === "all" ? EMBED_TYPES : [type];
+    if (!types.every(t => EMBED_TYPES.includes(t))) throw new Error(`--type must be one of ${EMBED_TYPES.join(", ")}, all`);
+    const limit = args.limit ? Number(args.limit) : Infinity;
+    const batchSize = args.batch ? Number(args.batch) : undefined;
+    if (!(limit > 0) || (batchSize !== undefined && !(Number.isInteger(batchSize) && batchSize > 0))) {
+      throw new Error("--limit and --batch must be positive integers");
+    }
+    const cutover = args.flags.has("cutover");
+    const inPlace = args.flags.has("in-place");
+    if (cutover && inPlace) throw new Error("--cutover and --in-place cannot be combined");
+
+    const model = getEmbeddingModel();
+    console.log(`🧠 Target embedding model: ${model.name}${model.dim ? ` (dim ${model.dim})` : ""}`);
+    printStats(await embeddingStats({ types }));
+    if (args.flags.has("dry-run")) return;
+
+    const started = Date.now();
+    const elapsed = () => `${((Date.now() - started) / 1000).toFixed(1)}s`;
+    if (cutover) {
+      const spinner = ora("⏳ Cutting over ...").start();
+      try {
+        const result = await cutoverEmbeddings({
+          types,
+          batchSize,
+          onBatch: ({ type: t, swapped }) => {
+            spinner.text = `🔁 ${t}: ${swapped} swapped`;
+          },
+        });
+        const summary = Object.entries(result).map(([t, r]) => `${t} ${r.swapped} (outdated ${r.outdated})`).join(" | ");
+        spinner.succeed(`✔ Swapped ${summary} | ${elapsed()}`);
+        console.log(`👉 Restart the server with EMBEDDING_MODEL=${args.model || model.name}, then run again with --in-place`);
+      } catch (err) {
+        spinner.fail(`❌ Cutover stopped: ${err.message} (run again to continue)`);
+        throw err;
+      }
+      printStats(await embeddingStats({ types }));
+      return;
+    }
+
+    const spinner = ora(inPlace ? "⏳ Re-embedding ..." : "⏳ Embedding into vector_next ...").start();
+    try {
+      const result = await migrateEmbeddings({
+        types,
+        limit,
+        batchSize,
+        inPlace,
+        onBatch: ({ type: t, embedded, stale }) => {
+          spinner.text = `📦 ${t}: ${embedded}/${stale} ${inPlace ? "re-embedded" : "staged"}`;
+        },
+      });
+      const summary = Object.entries(result).map(([t, r]) => `${t} ${r.embedded}/${r.stale}${r.skipped ? ` (already staged ${r.skipped})` : ""}`).join(" | ");
+      spinner.succeed(`✔ ${inPlace ? "Re-embedded" : "Staged"} ${summary} | ${elapsed()}`);
+      if (!inPlace) console.log("👉 When done, run again with --cutover");
+    } catch (err) {
+      spinner.fail(`❌ Re-embed stopped: ${err.message} (run again to continue)`);
+      throw err;
+    }
+    printStats(await embeddingStats({ types }));
+  } catch (err) {
+    console.error("❌ Re-embed failed:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDb();
+  }
+})();
@@ -0,0 +1,283 @@
+// schemas.js — schema + chuẩn hóa document journal / conference
+//
+// Dùng chung cho REST (POST/PUT → 422 nếu sai) và import.js (chế độ lenient: bỏ field sai, ghi cảnh báo).
+// Field không khai báo trong schema được giữ nguyên (feed có thể thêm field mới),
+// trừ các field hệ thống do server quản lý (PROTECTED_FIELDS).
+
+import { QUARTILES } from "./filters.js";
+
+// Client không được ghi trực tiếp
+export const PROTECTED_FIELDS = [
+  "_id", "_key", "vector", "vector_model", "vector_dim", "content_hash", "alias_hashes", "created_time", "modified_time",
+  "origin", "status", "removed_time", "missing_since", "last_seen_time",
+  "aliases", "merged_from", "merged_into", "merged_time",
+  "deadline_at", "start_at", "end_at",
+];
+// Import giữ timestamp có sẵn trong feed, chuẩn hóa thành Date như document tạo qua API (sort/cursor cùng kiểu)
+const FEED_FIELDS = ["created_time", "modified_time"];
+
+function parseTimestamp(v) {
+  const d = v instanceof Date ? v : new Date(v);
+  if (Number.isNaN(d.getTime())) throw new Error("must be a date/time");
+  return d;
+}
+
+// Thứ tự ngày mặc định cho dạng "01/02/2026" khi không phân biệt được (DMY | MDY)
+const DATE_ORDER = (process.env.DATE_ORDER || "DMY").toUpperCase();
+
+export class ValidationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = "ValidationError";
+    this.details = details;
+  }
+}
+
+/* ===================== Parsers ===================== */
+// Mỗi parser trả về giá trị đã chuẩn hóa, hoặc ném Error(message) nếu sai kiểu
+
+const EMPTY = new Set(["", "-", "n/a", "na", "none", "null", "tba", "tbd", "không có"]);
+function isEmpty(v) {
+  return v === null || v === undefined || (typeof v === "string" && EMPTY.has(v.trim().toLowerCase()));
+}
+
+function parseString(v) {
+  if (typeof v === "number") return String(v);
+  if (typeof v !== "string") throw new Error("must be a string");
+  return v.trim();
+}
+
+function stringList(separator) {
+  return v => {
+    const items = Array.isArray(v) ? v : typeof v === "string" ? v.split(separator) : null;
+    if (!items) throw new Error("must be a string or an array of strings");
+    return [...new Set(items.map(x => {
+      if (typeof x !== "string" && typeof x !== "number") throw new Error("must contain only strings");
+      return String(x).trim();
+    }).filter(Boolean))];
+  };
+}
+
+// decimalComma: "0,512" → 0.512 (SJR); ngược lại "2,500" → 2500
+function number({ decimalComma = false, min = null } = {}) {
+  return v => {
+    let n = v;
+    if (typeof v === "string") {
+      const s = v.trim().replace(/\s/g, "");
+      n = Number(decimalComma ? s.replace(/\./g, "").replace(",", ".") : s.replace(/,/g, ""));
+      if (decimalComma && /^\d+\.\d+$/.test(s)) n = Number(s);
+    }
+    if (typeof n !== "number" || !Number.isFinite(n)) throw new Error("must be a number");
+    if (min !== null && n < min) throw new Error(`must be ≥ ${min}`);
+    return n;
+  };
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function ymd(y, m, d) {
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    throw new Error("is not a valid calendar date");
+  }
+  return `${y}-${pad(m)}-${pad(d)}`;
+}
+
+// Chuẩn hóa ngày về "YYYY-MM-DD"
+export function parseDate(v) {
+  if (v instanceof Date) {
+    if (Number.isNaN(v.getTime())) throw new Error("is not a valid date");
+    return v.toISOString().slice(0, 10);
+  }
+  if (typeof v === "number") return parseDate(new Date(v));
+  if (typeof v !== "string") throw new Error("must be a date string");
+
+  const s = v.trim();
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:$|[T\s])/);
+  if (m) return ymd(+m[1], +m[2], +m[3]);
+
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (m) {
+    const [a, b, y] = [+m[1], +m[2], +m[3]];
+    if (a > 12) return ymd(y, b, a);
+    if (b > 12) return ymd(y, a, b);
+    return DATE_ORDER === "MDY" ? ymd(y, a, b) : ymd(y, b, a);
+  }
+
+  // "November 1, 2026", "1 Nov 2026"...
+  const parsed = new Date(s);
+  if (Number.isNaN(parsed.getTime())) throw new Error("is not a recognised date");
+  return ymd(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+}
+
+function quartile(v) {
+  const q = String(v).trim().toUpperCase();
+  if (!QUARTILES.includes(q)) throw new Error(`must be one of ${QUARTILES.join(", ")}`);
+  return q;
+}
+
+// ISSN → "1234-567X"; chấp nhận "12345678, 8765432X" hoặc mảng
+function issnList(v) {
+  const items = stringList(/[,;\s]+/)(v);
+  return items.map(x => {
+    const digits = x.replace(/[^\dxX]/g, "").toUpperCase();
+    if (!/^\d{7}[\dX]$/.test(digits)) throw new Error(`'${x}' is not a valid ISSN`);
+    return `${digits.slice(0, 4)}-${digits.slice(4)}`;
+  });
+}
+
+function url(v) {
+  const s = parseString(v);
+  if (!/^https?:\/\/\S+$/i.test(s)) throw new Error("must be an http(s) URL");
+  return s;
+}
+
+/* ===================== Schemas ===================== */
+export const SCHEMAS = {
+  journal: {
+    fields: {
+      title: parseString,
+      publisher: parseString,
+      areas: stringList(/;/),
+      categories: stringList(/;/),
+      country: parseString,
+      region: parseString,
+      issn: issnList,
+      eissn: issnList,
+      id_journal: parseString,
+      sjr: number({ decimalComma: true, min: 0 }),
+      sjr_best_quartile: quartile,
+      h_index: number({ min: 0 }),
+      apc: number({ min: 0 }),
+      url,
+      description: parseString,
+    },
+    required: [["title"]],
+  },
+  conference: {
+    fields: {
+      name: parseString,
+      title: parseString,
+      acronym: parseString,
+      location: parseString,
+      topics: stringList(/[;,]/),
+      url,
+      id_conference: parseString,
+      deadline: parseDate,
+      start_date: parseDate,
+      end_date: parseDate,
+      publisher: parseString,
+      description: parseString,
+    },
+    // Cần ít nhất một trong các field
+    required: [["name", "title", "acronym"]],
+    // Bản Date (00:00 UTC) của các ngày "YYYY-MM-DD" → query/sort/nhắc hạn theo ngày thật
+    derived: { deadline: "deadline_at", start_date: "start_at", end_date: "end_at" },
+  },
+};
+
+export function toUtcDate(ymdString) {
+  return ymdString ? new Date(`${ymdString}T00:00:00Z`) : null;
+}
+
+// _key dùng để khớp record giữa feed và DB (giống import.js)
+export function buildKey(type, doc) {
+  if (type === "journal") return String(doc.title || "");
+  return `${doc.acronym || ""} ${doc.name || ""}`.trim();
+}
+
+// Văn bản dùng để embed document (import.js và REST dùng chung). Dùng field gốc thay vì _key
+// (PUT không dựng lại _key); thứ tự field cho ra đúng văn bản cũ "_key publisher description".
+export const EMBED_FIELDS = {
+  journal: ["title", "publisher", "description"],
+  conference: ["acronym", "name", "publisher", "description"],
+};
+
+export function embeddingText(doc, fields) {
+  return fields
+    .map(f => {
+      const val = doc[f];
+      return Array.isArray(val) ? val.join(" ") : val || "";
+    })
+    .filter(Boolean)
+    .join(" ");
+}
+
+/* ===================== Validate / normalize ===================== */
+// partial: PUT (chỉ kiểm tra required với field có trong body); lenient: bỏ field sai thay vì báo lỗi (import)
+// → { value, errors: [{ field, message, value }] }
+export function normalize(type, input, { partial = false, lenient = false } = {}) {
+  const schema = SCHEMAS[type];
+  if (!schema) throw new Error(`Unknown schema '${type}'`);
+
+  const errors = [];
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { value: {}, errors: [{ field: null, message: "Body must be a JSON object" }] };
+  }
+
+  const value = {};
+  for (const [field, raw] of Object.entries(input)) {
+    if (PROTECTED_FIELDS.includes(field)) {
+      if (lenient && FEED_FIELDS.includes(field)) {
+        if (isEmpty(raw)) continue;
+        try {
+          value[field] = parseTimestamp(raw);
+        } catch (e) {
+          errors.push({ field, message: `${field} ${e.message}`, value: raw });
+        }
+      } else if (!lenient) errors.push({ field, message: `${field} is managed by the server and cannot be set` });
+      continue;
+    }
+    if (field.startsWith("$") || field.includes(".")) {
+      errors.push({ field, message: "Field names cannot start with '$' or contain '.'" });
+      continue;
+    }
+
+    const parse = schema.fields[field];
+    if (!parse) {
+      value[field] = raw; // field ngoài schema: giữ nguyên
+      continue;
+    }
+    if (isEmpty(raw)) {
+      value[field] = null;
+      continue;
+    }
+    try {
+      value[field] = parse(raw);
+    } catch (e) {
+      errors.push({ field, message: `${field} ${e.message}`, value: raw });
+    }
+  }
+
+  for (const [field, target] of Object.entries(schema.derived || {})) {
+    if (value[field] !== undefined) value[target] = toUtcDate(value[field]);
+  }
+
+  // partial: chỉ kiểm tra group có field trong body — xóa (null/rỗng) field bắt buộc mà không đặt field khác cùng group → lỗi
+  const filled = f => value[f] !== undefined && value[f] !== null && value[f] !== "";
+  for (const group of schema.required) {
+    if (partial && !group.some(f => f in value)) continue;
+    if (!group.some(filled)) {
+      const required = group.length > 1 ? `one of ${group.join(", ")} is required` : `${group[0]} is required`;
+      const cleared = group.filter(f => f in value);
+      errors.push({
+        field: partial ? cleared.join("|") : group.join("|"),
+        message: partial ? `${cleared.join(", ")} cannot be empty (${required})` : required,
+      });
+    }
+  }
+
+  return { value, errors };
+}
+
+// Cho REST: ném ValidationError (→ 422) nếu có lỗi
+export function validate(type, input, { partial = false } = {}) {
+  const { value, errors } = normalize(type, input, { partial });
+  if (errors.length) throw new ValidationError(`Invalid ${type}`, errors);
+  if (partial && !Object.keys(value).length) {
+    throw new ValidationError(`Invalid ${type}`, [{ field: null, message: "No updatable fields in body" }]);
+  }
+  return value;
+}
@@ -1,94 +1,317 @@
 // backend/search.js
 import { MongoClient } from "mongodb";
-import { pipeline } from "@xenova/transformers";
+import { vectorSearch } from "./vectorstore.js";
+import { embed } from "./embedder.js";
+import { ACTIVE_FILTER, combineFilters } from "./filters.js";
 
 const client = new MongoClient(process.env.MONGODB_URI);
 const dbName = process.env.MONGODB_DB || "rpa";
 
-// Khởi tạo embedder local
-let embedder = null;
-export async function initEmbedding() {   // 👈 export luôn từ đây
-  if (!embedder) {
-    console.log("⏳ Loading embedder: Xenova/all-MiniLM-L6-v2 ...");
-    embedder = await pipeline("feature-extraction", "Xenova/all-MiniLM-L6-v2");
-    console.log("✅ Embedder ready");
+const RERANK_MODEL = process.env.RERANK_MODEL || "Xenova/ms-marco-MiniLM-L-6-v2";
+const RERANK_DEFAULT = String(process.env.RERANK || "").toLowerCase() === "true";
+
+// Cấu hình theo collection: các field dùng cho keyword matching
+const COLLECTIONS = {
+  conference: {
+    exactFields: ["acronym"],
+    textFields: ["acronym", "name", "title", "_key"],
+  },
+  journal: {
+    exactFields: [],
+    textFields: ["title", "_key"],
+    issnFields: ["issn"],
+  },
+};
+
+const RESULT_PROJECTION = {
+  _id: 0,
+  vector: 0,
+  created_time: 0,
+  modified_time: 0,
+};
+
+// Cross-encoder local để rerank (chỉ load khi cần)
+let reranker = null;
+async function initReranker() {
+  if (!reranker) {
+    console.log(`⏳ Loading reranker: ${RERANK_MODEL} ...`);
+    const { AutoTokenizer, AutoModelForSequenceClassification } = await import("@xenova/transformers");
+    const [tokenizer, model] = await Promise.all([
+      AutoTokenizer.from_pretrained(RERANK_MODEL),
+      AutoModelForSequenceClassification.from_pretrained(RERANK_MODEL),
+    ]);
+    reranker = { tokenizer, model };
+    console.log("✅ Reranker ready");
+  }
+  return reranker;
+}
+
+/* ===================== Keyword search ===================== */
+const STOPWORDS = new Set([
+  "the", "and", "for", "of", "in", "on", "to", "a", "an", "is", "are", "what", "which", "when",
+  "where", "who", "how", "about", "with", "deadline", "conference", "conferences", "journal", "journals",
+  "là", "của", "và", "các", "những", "có", "không", "nào", "gì", "cho", "về", "với", "hạn", "nộp",
+  "hội", "thảo", "tạp", "chí", "bài", "báo",
+]);
+const ISSN_RE = /^\d{4}-?\d{3}[\dxX]$/;
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function normalizeIssn(s) {
+  return String(s).replace(/[^\dxX]/g, "").toUpperCase();
+}
+
+// Tách câu hỏi thành các từ khóa (acronym, ISSN, từ có nghĩa)
+export function extractTerms(question) {
+  const raw = String(question || "").match(/[\p{L}\p{N}][\p{L}\p{N}-]*/gu) || [];
+  const terms = [];
+  const issns = [];
+  for (const t of raw) {
+    if (ISSN_RE.test(t)) {
+      issns.push(normalizeIssn(t));
+      continue;
+    }
+    const lower = t.toLowerCase();
+    if (t.length < 2 || STOPWORDS.has(lower) || /^\d+$/.test(t)) continue;
+    if (!terms.some(x => x.toLowerCase() === lower)) terms.push(t);
+  }
+  return { terms, issns: [...new Set(issns)] };
+}
+
+function hasWord(value, term) {
+  const values = Array.isArray(value) ? value : [value];
+  const re = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(term)}($|[^\\p{L}\\p{N}])`, "iu");
+  return values.some(v => v != null && re.test(String(v)));
+}
+
+// Điểm keyword: khớp chính xác acronym/ISSN được ưu tiên cao hơn khớp từ trong tiêu đề
+function lexicalScore(doc, name, { terms, issns }) {
+  const cfg = COLLECTIONS[name];
+  let score = 0;
+  const matched = [];
+
+  for (const t of terms) {
+    const exact = cfg.exactFields.find(f => doc[f] && String(doc[f]).toLowerCase() === t.toLowerCase());
+    if (exact) {
+      score += 5;
+      matched.push(`${exact}:${t}`);
+      continue;
+    }
+    const field = cfg.textFields.find(f => hasWord(doc[f], t));
+    if (field) {
+      score += 1;
+      matched.push(`${field}:${t}`);
+    }
+  }
+
+  for (const field of cfg.issnFields || []) {
+    const docIssns = String(doc[field] || "").split(/[,;\s]+/).map(normalizeIssn).filter(Boolean);
+    for (const issn of issns) {
+      if (docIssns.includes(issn)) {
+        score += 5;
+        matched.push(`${field}:${issn}`);
+      }
+    }
+  }
+
+  return { score, matched };
+}
+
+// Điều kiện khớp chính xác (acronym = term, ISSN = giá trị chuẩn hóa) — chọn lọc, không bị lấn bởi khớp chuỗi con
+function exactConditions(name, parsed) {
+  const cfg = COLLECTIONS[name];
+  const or = [];
+  for (const t of parsed.terms) {
+    const re = new RegExp(`^${escapeRegex(t)}$`, "i");
+    for (const f of cfg.exactFields) or.push({ [f]: re });
+  }
+  const issns = parsed.issns.flatMap(issn => [`${issn.slice(0, 4)}-${issn.slice(4)}`, issn]);
+  if (issns.length) for (const f of cfg.issnFields || []) or.push({ [f]: { $in: issns } });
+  return or;
+}
+
+function substringConditions(name, parsed) {
+  const cfg = COLLECTIONS[name];
+  const or = [];
+  for (const t of parsed.terms) {
+    const re = new RegExp(escapeRegex(t), "i");
+    for (const f of cfg.textFields) or.push({ [f]: re });
+  }
+  for (const issn of parsed.issns) {
+    const re = new RegExp(`${issn.slice(0, 4)}-?${issn.slice(4)}`, "i");
+    for (const f of cfg.issnFields || []) or.push({ [f]: re });
   }
-  return true;
+  return or;
+}
+
+// Hai lượt: khớp chính xác acronym/ISSN trước, rồi lấp phần còn lại của giới hạn ứng viên bằng khớp chuỗi con
+// (trừ các document đã lấy) → record khớp chính xác không bị rơi khỏi tập ứng viên khi có nhiều khớp chuỗi con
+export async function lexicalSearch(db, name, parsed, { limit, projection = RESULT_PROJECTION, filter, includeRemoved = false }) {
+  const exact = exactConditions(name, parsed);
+  const substring = substringConditions(name, parsed);
+  if (!substring.length) return [];
+
+  const col = db.collection(name);
+  const base = combineFilters(filter, includeRemoved ? {} : ACTIVE_FILTER);
+  const maxCandidates = Math.max(200, limit * 20);
+  const exactHits = exact.length
+    ? await col.find(combineFilters(base, { $or: exact }), { projection }).limit(maxCandidates).toArray()
+    : [];
+  const substringHits = exactHits.length < maxCandidates
+    ? await col
+        .find(combineFilters(base, { $or: substring }, exact.length ? { $nor: exact } : {}), { projection })
+        .limit(maxCandidates - exactHits.length)
+        .toArray()
+    : [];
+
+  return [...exactHits, ...substringHits]
+    .map(doc => ({ doc, ...lexicalScore(doc, name, parsed) }))
+    .filter(x => x.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ doc, score, matched }) => ({ ...doc, score, matched }));
+}
+
+/* ===================== Fusion + rerank ===================== */
+function hitKey(doc) {
+  return doc._key || doc.title || doc.name || JSON.stringify(doc);
+}
+
+// Reciprocal rank fusion: score = Σ weight / (k + rank)
+export function fuseRRF(lists, { k = 60 } = {}) {
+  const merged = new Map();
+  for (const { name, hits, weight = 1 } of lists) {
+    hits.forEach((hit, i) => {
+      const { score, matched, ...doc } = hit;
+      const key = hitKey(doc);
+      const entry = merged.get(key) || { doc, score: 0, signals: {} };
+      entry.score += weight / (k + i + 1);
+      entry.signals[name] = { rank: i + 1, score, ...(matched && { matched }) };
+      merged.set(key, entry);
+    });
+  }
+  return [...merged.values()].sort((a, b) => b.score - a.score);
+}
+
+function rerankText(doc) {
+  return [doc.acronym, doc.name, doc.title, doc.topics, doc.areas, doc.categories, doc.publisher]
+    .flat()
+    .filter(Boolean)
+    .join(" ");
 }
 
-// Hàm tạo embedding cho câu hỏi
-async function embed(text) {
-  if (!embedder) await initEmbedding();
-  const output = await embedder(text, { pooling: "mean", normalize: true });
-  return Array.from(output.data);
+async function rerank(question, entries) {
+  if (!entries.length) return entries;
+  const { tokenizer, model } = await initReranker();
+  const inputs = tokenizer(new Array(entries.length).fill(question), {
+    text_pair: entries.map(e => rerankText(e.doc)),
+    padding: true,
+    truncation: true,
+  });
+  const { logits } = await model(inputs);
+  const scores = Array.from(logits.data);
+  entries.forEach((e, i) => { e.signals.rerank = { score: scores[i] }; });
+  return [...entries].sort((a, b) => b.signals.rerank.score - a.signals.rerank.score);
+}
+
+function toHits(entries, topk) {
+  return entries.slice(0, topk).map(({ doc, score, signals }) => ({
+    ...doc,
+    score: signals.rerank?.score ?? score,
+    fused_score: score,
+    signals,
+  }));
+}
+
+/* ===================== Search ===================== */
+async function searchCollection(db, name, opts) {
+  const { question, queryVector, parsed, topk, weights, rerank: useRerank, projection, includeRemoved } = opts;
+  const { prefilter, filter } = opts.filters?.[name] || {};
+  const candidates = Math.max(topk * 3, 20);
+  const [vectorHits, lexicalHits] = await Promise.all([
+    weights.vector > 0
+      ? vectorSearch(db, name, queryVector, { limit: candidates, projection, prefilter, filter, includeRemoved }).catch(e => {
+          // Vector lỗi vẫn còn kết quả keyword
+          console.error(`Vector search failed on "${name}":`, e.message);
+          return [];
+        })
+      : [],
+    weights.lexical > 0 ? lexicalSearch(db, name, parsed, { limit: candidates, projection, filter, includeRemoved }) : [],
+  ]);
+
+  let entries = fuseRRF([
+    { name: "vector", hits: vectorHits, weight: weights.vector },
+    { name: "lexical", hits: lexicalHits, weight: weights.lexical },
+  ]);
+  if (useRerank) entries = await rerank(question, entries.slice(0, candidates));
+  return toHits(entries, topk);
+}
+
+// Hàm tìm kiếm chung (conference + journal): hybrid vector + keyword, rerank tùy chọn
+// filters: { conference: { prefilter, filter }, journal: { ... } } (xem vectorstore.js)
+// includeRemoved: tính cả record đã bị import đánh dấu removed
+// translation: kết quả translateQuery() (translate.js) do route tính sẵn — bản dịch dùng cho vector + rerank,
+// keyword dùng cả câu gốc lẫn bản dịch
+export async function search({
+  question,
+  topk = 5,
+  types = ["conference", "journal"],
+  weights = { vector: 1, lexical: 1 },
+  rerank = RERANK_DEFAULT,
+  filters = {},
+  projection = RESULT_PROJECTION,
+  includeRemoved = false,
+  translation = null,
+}) {
+  await client.connect();
+  const db = client.db(dbName);
+
+  const query = translation?.translated ? translation.text : question;
+  const queryVector = weights.vector > 0 ? await embed(query) : null;
+  const parsed = extractTerms(query !== question ? `${question} ${query}` : question);
+  const opts = { question: query, queryVector, parsed, topk, weights, rerank, filters, projection, includeRemoved };
+
+  const result = {};
+  for (const name of types) {
+    result[name] = await searchCollection(db, name, opts);
+  }
+  return result;
 }
 
-// Hàm tìm kiếm chung (conference + journal)
-export async function search({ question, topk = 5 }) {
+// Tìm hàng xóm gần nhất của một vector có sẵn (vd. vector của chính document) — chỉ dùng vector
+export async function searchByVector(queryVector, {
+  type,
+  topk = 5,
+  excludeId = null,
+  prefilter,
+  filter,
+  projection = { vector: 0 },
+  includeRemoved = false,
+}) {
   await client.connect();
   const db = client.db(dbName);
 
-  const queryVector = await embed(question);
-
-  // --- Tìm trong collection conference ---
-  const confResults = await db.collection("conference").aggregate([
-    {
-      $vectorSearch: {
-        index: "vector_index_conference",
-        path: "vector",
-        queryVector,
-        numCandidates: 100,
-        limit: topk,
-        similarity: "cosine",
-      },
-    },
-    {
-      $project: {
-        _id: 0,
-        vector: 0,
-        created_time: 0,
-        modified_time: 0,
-        score: { $meta: "vectorSearchScore" },
-      },
-    },
-  ]).toArray();
-
-  // --- Tìm trong collection journal ---
-  const journalResults = await db.collection("journal").aggregate([
-    {
-      $vectorSearch: {
-        index: "vector_index_journal",
-        path: "vector",
-        queryVector,
-        numCandidates: 100,
-        limit: topk,
-        similarity: "cosine",
-      },
-    },
-    {
-      $project: {
-        _id: 0,
-        vector: 0,
-        created_time: 0,
-        modified_time: 0,
-        score: { $meta: "vectorSearchScore" },
-      },
-    },
-  ]).toArray();
-
-  return {
-    conference: confResults,
-    journal: journalResults,
-  };
+  const hits = await vectorSearch(db, type, queryVector, {
+    limit: topk + (excludeId ? 1 : 0),
+    projection,
+    prefilter,
+    filter,
+    includeRemoved,
+  });
+  return hits
+    .filter(h => !excludeId || String(h._id) !== String(excludeId))
+    .slice(0, topk);
 }
 
 // Alias để app.js import
-export async function conferenceVectorSearch(question, topk = 5) {
-  const result = await search({ question, topk });
+export async function conferenceVectorSearch(question, topk = 5, options = {}) {
+  const result = await search({ ...options, question, topk, types: ["conference"] });
   return result.conference;
 }
 
-export async function journalVectorSearch(question, topk = 5) {
-  const result = await search({ question, topk });
+export async function journalVectorSearch(question, topk = 5, options = {}) {
+  const result = await search({ ...options, question, topk, types: ["journal"] });
   return result.journal;
 }
@@ -0,0 +1,153 @@
+// sessions.js — hội thoại nhiều lượt cho /api/agent
+// Session gắn với API key tạo ra nó (owner); owner = null ở các hàm dưới = không lọc (admin).
+import { ObjectId } from "mongodb";
+import { encode } from "gpt-tokenizer";
+import { getDb } from "./db.js";
+import { ACTIVE_FILTER, combineFilters } from "./filters.js";
+
+const HISTORY_MAX_TOKENS = Number(process.env.SESSION_HISTORY_MAX_TOKENS || 3000);
+const MAX_CITED = 10; // số hội thảo/tạp chí đã trích dẫn được nhớ mỗi loại
+// Số lượt giữ trong document (lượt cũ hơn bị bỏ; buildHistory vốn chỉ phát lại các lượt gần nhất)
+const MAX_TURNS = Number(process.env.SESSION_MAX_TURNS || 50);
+
+async function Sessions() {
+  return (await getDb()).collection("agent_session");
+}
+
+// ===== CRUD =====
+function ownerFilter(owner) {
+  return owner ? { owner } : {};
+}
+
+export async function createSession({ owner, title = "", model_id = null } = {}) {
+  const now = new Date();
+  const doc = {
+    owner,
+    title: String(title || "").trim(),
+    model_id,
+    turns: [],
+    cited: { conference: [], journal: [] },
+    created_time: now,
+    modified_time: now,
+  };
+  const result = await (await Sessions()).insertOne(doc);
+  return { _id: result.insertedId, ...doc };
+}
+
+export async function listSessions({ owner = null, skip = 0, limit = 20 } = {}) {
+  const col = await Sessions();
+  const projection = { turns: 0 };
+  const filter = ownerFilter(owner);
+  const [items, total] = await Promise.all([
+    col.find(filter, { projection }).sort({ modified_time: -1 }).skip(skip).limit(limit).toArray(),
+    col.countDocuments(filter),
+  ]);
+  return { items, total };
+}
+
+export async function getSession(id, { owner = null } = {}) {
+  if (!ObjectId.isValid(id)) return null;
+  return (await Sessions()).findOne({ _id: new ObjectId(id), ...ownerFilter(owner) });
+}
+
+export async function deleteSession(id, { owner = null } = {}) {
+  if (!ObjectId.isValid(id)) return null;
+  return (await Sessions()).findOneAndDelete({ _id: new ObjectId(id), ...ownerFilter(owner) });
+}
+
+// ===== History =====
+// Phát lại các lượt trước dưới dạng chat messages, bỏ bớt lượt cũ khi vượt ngân sách token
+export function buildHistory(session, maxTokens = HISTORY_MAX_TOKENS) {
+  const turns = session?.turns || [];
+  const kept = [];
+  let used = 0;
+
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const { question, answer } = turns[i];
+    const cost = encode(question || "").length + encode(answer || "").length;
+    if (used + cost > maxTokens) break;
+    used += cost;
+    kept.unshift(turns[i]);
+  }
+
+  const history = kept.flatMap(t => [
+    { role: "user", content: t.question },
+    { role: "assistant", content: t.answer },
+  ]);
+  return { history, history_tokens: used, dropped_turns: turns.length - kept.length };
+}
+
+// ===== Citations =====
+function mentions(text, value) {
+  if (!value || String(value).trim().length < 2) return false;
+  const escaped = String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, "iu").test(text);
+}
+
+// Xác định hội thảo/tạp chí nào được câu trả lời nhắc tới (theo acronym, tên, tiêu đề)
+export function findCited(answer, conferences = [], journals = []) {
+  const text = String(answer || "");
+  return {
+    conference: conferences
+      .filter(c => c._key && [c.acronym, c.name, c.title].some(v => mentions(text, v)))
+      .map(c => c._key),
+    journal: journals
+      .filter(j => j._key && [j.title, j.issn].some(v => mentions(text, v)))
+      .map(j => j._key),
+  };
+}
+
+// Lấy lại các document đã được trích dẫn ở những lượt trước (để trả lời câu hỏi nối tiếp)
+export async function loadCited(session) {
+  const db = await getDb();
+  const projection = { vector: 0, created_time: 0, modified_time: 0 };
+  const load = async (name, keys = []) => {
+    if (!keys.length) return [];
+    // Venue đã bị import gỡ (removed) hoặc gộp (merged) sau lượt trước → không đưa lại vào ngữ cảnh
+    const docs = await db.collection(name)
+      .find(combineFilters({ _key: { $in: keys } }, ACTIVE_FILTER), { projection })
+      .toArray();
+    const byKey = new Map(docs.map(d => [d._key, d]));
+    return keys.map(k => byKey.get(k)).filter(Boolean);
+  };
+  const [conference, journal] = await Promise.all([
+    load("conference", session?.cited?.conference),
+    load("journal", session?.cited?.journal),
+  ]);
+  return { conference, journal };
+}
+
+// Gộp danh sách đã trích dẫn (ưu tiên) với kết quả retrieval mới, loại trùng theo _key
+export function mergeByKey(primary = [], secondary = []) {
+  const seen = new Set();
+  const out = [];
+  for (const d of [...primary, ...secondary]) {
+    const k = d?._key;
+    if (k && seen.has(k)) continue;
+    if (k) seen.add(k);
+    out.push(d);
+  }
+  return out;
+}
+
+function pushRecent(previous = [], added = []) {
+  return [...added, ...previous.filter(k => !added.includes(k))].slice(0, MAX_CITED);
+}
+
+export async function appendTurn(session, { question, answer, model_id, cited }) {
+  const now = new Date();
+  const turn = { question, answer, model_id, cited, created_time: now };
+  const update = {
+    $push: { turns: { $each: [turn], $slice: -MAX_TURNS } },
+    $set: {
+      "cited.conference": pushRecent(session.cited?.conference, cited.conference),
+      "cited.journal": pushRecent(session.cited?.journal, cited.journal),
+      modified_time: now,
+    },
+  };
+  // Lượt đầu tiên: lấy câu hỏi làm tiêu đề nếu chưa có
+  if (!session.title) update.$set.title = question.slice(0, 80);
+
+  await (await Sessions()).updateOne({ _id: session._id }, update);
+  return turn;
+}
@@ -0,0 +1,336 @@
+// sources.js — nguồn dữ liệu cho importer: adapter đọc record thô + field mapping về schema journal/conference
+//
+// Cấu hình trong sources.json (hoặc IMPORT_SOURCES_FILE), mỗi nguồn:
+//   type: journal | conference, adapter: http-json | json-file | csv
+//   url / url_env (http-json), path (json-file, csv)
+//   records_path: JSON là object (vd. data.json: { "journal": [...], "conference": [...] }) → key chứa mảng record;
+//                 mặc định = type
+//   delimiter, header (false = không có dòng tiêu đề), columns (tên cột khi header: false)  — csv
+//   mapping: { "cột nguồn": "field đích" }; keep_unmapped: giữ các cột không khai báo (mặc định: có nếu không có mapping)
+//   detect: tên cột dùng để tự nhận profile khi import file không chỉ định --profile
+//   default: chạy khi `node import.js` không có --source; track_removals: soft-delete record biến mất khỏi nguồn
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import { StringDecoder } from "string_decoder";
+import axios from "axios";
+
+// Đọc lúc chạy (cả route import của admin) → vercel.json liệt kê sources.json trong includeFiles
+const SOURCES_FILE = process.env.IMPORT_SOURCES_FILE
+  ? new URL(process.env.IMPORT_SOURCES_FILE, `file://${process.cwd()}/`)
+  : new URL("./sources.json", import.meta.url);
+
+const MAX_ATTEMPTS = 3;
+
+export const SOURCE_TYPES = ["journal", "conference"];
+
+export function loadSources() {
+  return JSON.parse(fs.readFileSync(SOURCES_FILE, "utf8"));
+}
+
+/* ===================== JSON array (stream) ===================== */
+// Tách từng object của mảng JSON ngay khi nhận đủ, không cần tải hết response.
+// Gốc là mảng → record là các phần tử; gốc là object → mảng ở key recordsPath (một cấp).
+export async function* streamJsonArray(stream, { recordsPath = null } = {}) {
+  const decoder = new StringDecoder("utf8");
+  let buf = "";
+  let i = 0;
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+  let rootObject = false;
+  let arrayDepth = null; // độ sâu (sau khi mở) của mảng đang đọc record: 1 = mảng gốc, 2 = mảng trong object gốc
+  let found = false;
+  let keyStart = -1; // chuỗi ở cấp 1 của object gốc (key)
+  let lastKey = null;
+
+  for await (const chunk of stream) {
+    buf += typeof chunk === "string" ? chunk : decoder.write(chunk);
+    for (; i < buf.length; i++) {
+      const ch = buf[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') {
+          inString = false;
+          if (keyStart >= 0) {
+            lastKey = JSON.parse(buf.slice(keyStart, i + 1));
+            keyStart = -1;
+          }
+        }
+        continue;
+      }
+      if (ch === '"') {
+        inString = true;
+        if (rootObject && depth === 1) keyStart = i;
+      } else if (ch === "{" || ch === "[") {
+        if (depth === 0) {
+          if (ch === "[") arrayDepth = 1;
+          else if (!recordsPath) throw new Error("Expected a JSON array (set records_path to read an array inside an object)");
+          else rootObject = true;
+        } else if (rootObject && depth === 1 && ch === "[" && lastKey === recordsPath && !found) {
+          arrayDepth = 2;
+          found = true;
+        } else if (depth === arrayDepth && ch === "{") {
+          start = i;
+        }
+        depth++;
+      } else if (ch === "}" || ch === "]") {
+        depth--;
+        if (depth === arrayDepth && start >= 0) {
+          yield JSON.parse(buf.slice(start, i + 1));
+          start = -1;
+        } else if (rootObject && depth === 1 && arrayDepth === 2) {
+          arrayDepth = null; // hết mảng record
+        }
+      }
+    }
+    // Bỏ phần đã xử lý, chỉ giữ object/key đang đọc dở
+    const keep = start >= 0 ? start : keyStart >= 0 ? keyStart : i;
+    buf = buf.slice(keep);
+    i -= keep;
+    if (start >= 0) start -= keep;
+    if (keyStart >= 0) keyStart -= keep;
+  }
+  if (depth !== 0) throw new Error("Unexpected end of JSON array");
+  if (rootObject && !found) throw new Error(`JSON object has no "${recordsPath}" array (records_path)`);
+}
+
+// records_path mặc định theo type: data.json có sẵn key "journal" / "conference"
+function recordsPathOf(source) {
+  return source.records_path ?? source.type ?? null;
+}
+
+/* ===================== CSV (stream) ===================== */
+// RFC 4180: field trong "...", "" là dấu nháy, xuống dòng trong field có nháy; bỏ BOM.
+// Không khai báo delimiter → đoán từ dòng đầu (; , hoặc tab).
+function detectDelimiter(line) {
+  const counts = [";", ",", "\t"].map(d => [d, line.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+export async function* streamCsv(stream, { delimiter = null, header = true, columns = null } = {}) {
+  const decoder = new StringDecoder("utf8");
+  let names = header ? null : columns || [];
+  let pending = ""; // dữ liệu chờ đủ dòng đầu để đoán delimiter
+  let started = false;
+
+  // Trạng thái parser (giữ qua các chunk)
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let quoteSeen = false; // vừa gặp " trong field có nháy: "" → ", ngược lại là đóng nháy
+  let afterCR = false;
+
+  const toRecord = values => {
+    if (!names) {
+      names = values.map(v => v.trim());
+      return null;
+    }
+    if (values.length === 1 && values[0] === "") return null; // dòng trống
+    const record = {};
+    values.forEach((v, idx) => {
+      record[names[idx] || `column_${idx + 1}`] = v;
+    });
+    return record;
+  };
+
+  function* parse(text) {
+    for (const ch of text) {
+      if (afterCR) {
+        afterCR = false;
+        if (ch === "\n") continue;
+      }
+      if (quoteSeen) {
+        quoteSeen = false;
+        if (ch === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      } else if (inQuotes) {
+        if (ch === '"') quoteSeen = true;
+        else field += ch;
+        continue;
+      }
+
+      if (ch === '"' && field === "") {
+        inQuotes = true;
+      } else if (ch === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (ch === "\n" || ch === "\r") {
+        afterCR = ch === "\r";
+        row.push(field);
+        field = "";
+        const record = toRecord(row);
+        row = [];
+        if (record) yield record;
+      } else {
+        field += ch;
+      }
+    }
+  }
+
+  for await (const chunk of stream) {
+    let text = typeof chunk === "string" ? chunk : decoder.write(chunk);
+    if (!started) {
+      pending += text;
+      if (pending.charCodeAt(0) === 0xfeff) pending = pending.slice(1);
+      const nl = pending.search(/[\r\n]/);
+      if (nl < 0) continue;
+      delimiter ||= detectDelimiter(pending.slice(0, nl));
+      started = true;
+      text = pending;
+    }
+    yield* parse(text);
+  }
+
+  if (!started) {
+    if (pending.charCodeAt(0) === 0xfeff) pending = pending.slice(1);
+    delimiter ||= detectDelimiter(pending);
+    yield* parse(pending);
+  }
+  if (inQuotes && !quoteSeen) throw new Error("Unterminated quoted field in CSV");
+  // Dòng cuối không có xuống dòng
+  if (field || row.length || quoteSeen) yield* parse("\n");
+}
+
+/* ===================== Adapters ===================== */
+// open(source, { progress }) → stream/iterable cho parser; mỗi lần gọi mở lại từ đầu (dùng khi retry/resume).
+// source.body (upload qua API): Buffer/chuỗi, hoặc mảng record đã parse sẵn (JSON).
+async function openHttp(url, progress) {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const res = await axios.get(url, { responseType: "stream", timeout: 60000 });
+      res.data.on("data", chunk => {
+        progress.bytes += chunk.length;
+      });
+      return res.data;
+    } catch (err) {
+      console.error(`❌ Fetch error (attempt ${attempt}) from ${url}:`, err.message);
+      if (attempt === MAX_ATTEMPTS) throw err;
+      console.log(`⏳ Retry in 5s...`);
+      await new Promise((r) => setTimeout(r, 5000));
+    }
+  }
+}
+
+function openLocal(source, progress) {
+  if (source.body !== undefined) {
+    progress.bytes += Buffer.byteLength(source.body);
+    return Readable.from([source.body]);
+  }
+  const stream = fs.createReadStream(source.path);
+  stream.on("data", chunk => {
+    progress.bytes += chunk.length;
+  });
+  return stream;
+}
+
+export const ADAPTERS = {
+  "http-json": {
+    async *records(source, progress) {
+      yield* streamJsonArray(await openHttp(source.url, progress), { recordsPath: recordsPathOf(source) });
+    },
+  },
+  "json-file": {
+    async *records(source, progress) {
+      if (Array.isArray(source.body)) {
+        yield* source.body;
+        return;
+      }
+      yield* streamJsonArray(openLocal(source, progress), { recordsPath: recordsPathOf(source) });
+    },
+  },
+  csv: {
+    async *records(source, progress) {
+      yield* streamCsv(openLocal(source, progress), {
+        delimiter: source.delimiter,
+        header: source.header !== false,
+        columns: source.columns,
+      });
+    },
+  },
+};
+
+/* ===================== Mapping ===================== */
+export function mapRecord(raw, { mapping = null, keep_unmapped = !mapping } = {}) {
+  if (!mapping) return raw;
+  const out = {};
+  for (const [from, value] of Object.entries(raw)) {
+    if (Object.hasOwn(mapping, from)) {
+      if (mapping[from]) out[mapping[from]] = value;
+    } else if (keep_unmapped) {
+      out[from] = value;
+    }
+  }
+  return out;
+}
+
+/* ===================== Resolve ===================== */
+function adapterFor(location) {
+  if (/^https?:\/\//i.test(location)) return "http-json";
+  const ext = path.extname(location).toLowerCase();
+  if (ext === ".csv" || ext === ".tsv") return "csv";
+  if (ext === ".json") return "json-file";
+  return null;
+}
+
+// Đọc dòng tiêu đề của file CSV để tự chọn profile (so với `detect`)
+async function readCsvHeader(source) {
+  for await (const record of streamCsv(openLocal(source, { bytes: 0 }), { delimiter: source.delimiter, header: false })) {
+    return Object.values(record).map(v => v.trim());
+  }
+  return [];
+}
+
+// Nguồn cấu hình sẵn theo tên, hoặc file/URL + type (+ profile để lấy adapter/mapping)
+// → { name, type, adapter, url | path | body, ...options }
+export async function resolveSource({ source, type, profile, adapter, body, records_path } = {}) {
+  const sources = loadSources();
+  const errors = [];
+
+  if (source && sources[source] && !body) {
+    const cfg = sources[source];
+    const url = (cfg.url_env && process.env[cfg.url_env]) || cfg.url;
+    if (!cfg.path && !url) errors.push(`Source '${source}' has no url/path configured`);
+    if (errors.length) throw new Error(errors.join("; "));
+    return { name: source, ...cfg, ...(url && { url }) };
+  }
+
+  if (profile && !sources[profile]) errors.push(`Unknown profile '${profile}'. Available: ${Object.keys(sources).join(", ")}`);
+  const base = profile ? sources[profile] || {} : {};
+  const resolvedType = type || base.type;
+  if (!SOURCE_TYPES.includes(resolvedType)) errors.push(`type must be one of ${SOURCE_TYPES.join(", ")}`);
+  if (base.type && type && base.type !== type) errors.push(`Profile '${profile}' is for ${base.type}, not ${type}`);
+
+  const location = source || "";
+  const resolvedAdapter = adapter || base.adapter || adapterFor(location);
+  if (!ADAPTERS[resolvedAdapter]) {
+    errors.push(`Cannot infer adapter for '${location || "upload"}'; use one of ${Object.keys(ADAPTERS).join(", ")}`);
+  }
+  if (!body && !location) errors.push("Missing source");
+  if (errors.length) throw new Error(errors.join("; "));
+
+  const resolved = {
+    ...base,
+    name: profile || (body !== undefined ? "upload" : path.basename(location)),
+    type: resolvedType,
+    adapter: resolvedAdapter,
+    ...(records_path && { records_path }),
+    ...(body !== undefined ? { body } : resolvedAdapter === "http-json" ? { url: location } : { path: location }),
+  };
+
+  // CSV không chỉ định profile: chọn profile cùng type có đủ các cột `detect`
+  if (!profile && resolvedAdapter === "csv" && resolved.header !== false) {
+    const headers = await readCsvHeader(resolved);
+    const match = Object.entries(sources).find(([, cfg]) =>
+      cfg.type === resolvedType && cfg.adapter === "csv" && cfg.detect?.length && cfg.detect.every(h => headers.includes(h))
+    );
+    if (match) Object.assign(resolved, match[1], { name: match[0] });
+  }
+  // Nguồn ad-hoc (file / upload) chỉ là một phần dữ liệu → không chạy mặc định, không soft-delete theo nó
+  return { ...resolved, default: false, track_removals: false };
+}
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// search.js (dedup.js import) tạo MongoClient ngay khi load → cần URI, không kết nối trong test
+process.env.MONGODB_URI ??= "mongodb://127.0.0.1:1";
+const { normalizeName, combineFields, findInCollection } = await import("../dedup.js");
+const { embeddingChanged } = await import("../embeddings.js");
+
+test("normalizeName ignores accents, years, ordinals and leading boilerplate", () => {
+  assert.equal(normalizeName("Proceedings of the 12th Int'l Conf. on AI 2024"), normalizeName("Int'l Conf on AI"));
+  assert.equal(normalizeName("Tạp chí Đại học"), "tap chi dai hoc");
+  assert.equal(normalizeName("Science & Technology"), "science and technology");
+  assert.equal(normalizeName(null), "");
+});
+
+test("combineFields fills empty target fields and unions array fields", () => {
+  const target = { _id: 1, _key: "J", title: "J", publisher: "", areas: ["CS"], vector: [1] };
+  const sources = [{ _id: 2, _key: "J old", title: "J (old)", publisher: "P", areas: ["CS", "Math"], description: "d" }];
+  assert.deepEqual(combineFields(target, sources), { publisher: "P", areas: ["CS", "Math"], description: "d" });
+});
+
+test("combineFields takes explicitly chosen values and skips system fields", () => {
+  const target = { _id: 1, title: "J", created_time: new Date(0) };
+  const sources = [{ _id: 2, title: "Journal J", created_time: new Date(1) }];
+  assert.deepEqual(combineFields(target, sources, { title: 2 }), { title: "Journal J" });
+});
+
+test("a merge that fills embedded fields makes the survivor's vector stale", () => {
+  const target = { _id: 1, title: "J", publisher: "" };
+  const set = combineFields(target, [{ _id: 2, publisher: "P" }]);
+  assert.equal(embeddingChanged("journal", target, { ...target, ...set }), true);
+  const unchanged = combineFields(target, [{ _id: 2, country: "VN" }]);
+  assert.equal(embeddingChanged("journal", target, { ...target, ...unchanged }), false);
+});
+
+// DB giả: find() đầu trả về summary của mọi document, các lần sau trả về vector theo _id
+function fakeDb(docs) {
+  return {
+    collection: () => ({
+      find: filter => ({
+        toArray: async () => (filter._id ? docs.filter(d => filter._id.$in.includes(d._id)) : docs),
+      }),
+    }),
+  };
+}
+
+test("findInCollection groups journals by normalized title and shared ISSN", async () => {
+  const docs = [
+    { _id: "a", title: "Journal of AI" },
+    { _id: "b", title: "The Journal of AI (2024)" },
+    { _id: "c", title: "AI Letters", issn: ["1234-567X"] },
+    { _id: "d", title: "Letters on AI", eissn: "1234567x" },
+    { _id: "e", title: "Unrelated", issn: ["0000-0000"] },
+  ];
+  const groups = await findInCollection(fakeDb(docs), "journal", { threshold: 0.9 });
+  assert.deepEqual(
+    groups.map(g => ({ reasons: g.reasons, ids: g.items.map(d => d._id).sort() })),
+    [{ reasons: ["normalized_key"], ids: ["a", "b"] }, { reasons: ["issn"], ids: ["c", "d"] }]
+  );
+});
+
+test("findInCollection pairs conferences sharing an acronym only when their vectors are close", async () => {
+  const docs = [
+    { _id: "a", name: "Intl Conference on Communications", acronym: "ICC", vector: [1, 0], vector_model: "m" },
+    { _id: "b", name: "IEEE ICC", acronym: "ICC'25", vector: [0.99, 0.1], vector_model: "m" },
+    { _id: "c", name: "Intl Conference on Chemistry", acronym: "ICC", vector: [0, 1], vector_model: "m" },
+  ];
+  const groups = await findInCollection(fakeDb(docs), "conference", { threshold: 0.9 });
+  assert.equal(groups.length, 1);
+  assert.deepEqual(groups[0].reasons, ["acronym+vector"]);
+  assert.deepEqual(groups[0].items.map(d => d._id), ["a", "b"]);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildJournalFilter, buildConferenceFilter, invalidDateFilter, QueryError } from "../filters.js";
+
+function paramsOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    assert.ok(err instanceof QueryError);
+    return err.details.map(d => d.param);
+  }
+  assert.fail("expected a QueryError");
+}
+
+test("conference date ranges query the Date fields directly", () => {
+  assert.deepEqual(buildConferenceFilter({ deadline_from: "2026-03-01", start_to: "2026-12-31" }), {
+    $and: [
+      { deadline_at: { $gte: new Date("2026-03-01T00:00:00Z") } },
+      { start_at: { $lte: new Date("2026-12-31T00:00:00Z") } },
+    ],
+  });
+});
+
+test("conference dates must be strict YYYY-MM-DD calendar dates", () => {
+  for (const bad of ["1", "2026-2-1", "2026-02-30", "March 1 2026", "2026-03-01T00:00:00Z"]) {
+    assert.deepEqual(paramsOf(() => buildConferenceFilter({ deadline_from: bad })), ["deadline_from"], bad);
+  }
+});
+
+test("inverted ranges are rejected", () => {
+  assert.deepEqual(paramsOf(() => buildConferenceFilter({ start_from: "2026-05-02", start_to: "2026-05-01" })), ["start_from"]);
+  assert.deepEqual(paramsOf(() => buildJournalFilter({ sjr_min: "3", sjr_max: "1" })), ["sjr_min"]);
+});
+
+test("journal sjr and apc filters compare the numeric fields", () => {
+  assert.deepEqual(buildJournalFilter({ sjr_min: "0.5", apc_max: "2000" }), {
+    $and: [
+      { sjr: { $gte: 0.5 } },
+      { $or: [{ apc: { $lte: 2000 } }, { apc: null }] },
+    ],
+  });
+});
+
+test("invalidDateFilter selects conferences whose date has no Date copy", () => {
+  assert.equal(invalidDateFilter({ location: "Hanoi" }), null);
+  assert.deepEqual(invalidDateFilter({ deadline_to: "2026-01-01" }), {
+    $or: [{ deadline: { $nin: [null, ""] }, deadline_at: null }],
+  });
+});
@@ -0,0 +1,67 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+
+// Provider giả: /<provider>/chat/completions trả về status theo `statuses[provider]`
+const statuses = { bad: 400, down: 500, recover: 500 };
+const hits = { bad: 0, down: 0, recover: 0 };
+const server = http.createServer((req, res) => {
+  const provider = req.url.split("/")[1];
+  hits[provider]++;
+  req.resume();
+  setTimeout(() => {
+    res.writeHead(statuses[provider], { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ choices: [{ message: { content: "ok" } }] }));
+  }, 30);
+});
+await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+after(() => server.close());
+
+const registryFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "llm-test-")), "models.json");
+const base = `http://127.0.0.1:${server.address().port}`;
+fs.writeFileSync(registryFile, JSON.stringify({
+  providers: Object.fromEntries(Object.keys(statuses).map(p => [p, { type: "openai-compatible", base_url: `${base}/${p}` }])),
+  models: Object.fromEntries(Object.keys(statuses).map(p => [`m-${p}`, { provider: p }])),
+}));
+Object.assign(process.env, {
+  MODEL_REGISTRY_FILE: registryFile,
+  LLM_MAX_RETRIES: "1",
+  LLM_RETRY_BASE_MS: "1",
+  LLM_CIRCUIT_THRESHOLD: "2",
+  LLM_CIRCUIT_COOLDOWN_MS: "100",
+});
+const { callLLM, getCircuitState } = await import("../llm.js");
+
+const call = model => callLLM("hi", model, { fallback: false });
+
+test("non-retryable errors do not count toward the circuit", async () => {
+  for (let i = 0; i < 3; i++) await assert.rejects(call("m-bad"), { code: "all_failed" });
+  assert.equal(hits.bad, 3);
+  assert.deepEqual(getCircuitState().bad, { state: "closed", failures: 0 });
+});
+
+test("a retried request counts as one failure", async () => {
+  await assert.rejects(call("m-down"), { code: "all_failed" });
+  assert.equal(hits.down, 2);
+  assert.deepEqual(getCircuitState().down, { state: "closed", failures: 1 });
+});
+
+test("half-open lets a single probe through and closes on success", async () => {
+  await assert.rejects(call("m-recover"));
+  await assert.rejects(call("m-recover"));
+  assert.equal(getCircuitState().recover.state, "open");
+  await assert.rejects(call("m-recover"), { code: "circuit_open" });
+  assert.equal(hits.recover, 4);
+
+  await new Promise(r => setTimeout(r, 120));
+  assert.equal(getCircuitState().recover.state, "half-open");
+  statuses.recover = 200;
+  const [probe, blocked] = await Promise.allSettled([call("m-recover"), call("m-recover")]);
+  assert.equal(probe.value.answer, "ok");
+  assert.equal(blocked.reason.code, "circuit_open");
+  assert.equal(hits.recover, 5);
+  assert.deepEqual(getCircuitState().recover, { state: "closed", failures: 0 });
+});
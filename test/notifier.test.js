@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import http from "http";
+import axios from "axios";
+import { notify, resolveWebhookTarget, webhookTargetError, pinnedLookup } from "../notifier.js";
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+}
+
+test("email refuses AUTH when the server offers no STARTTLS", async () => {
+  const received = [];
+  const server = net.createServer(socket => {
+    socket.write("220 fake ESMTP\r\n");
+    socket.on("data", chunk => {
+      for (const line of chunk.toString().split("\r\n").filter(Boolean)) {
+        received.push(line);
+        if (line.startsWith("EHLO")) socket.write("250-fake\r\n250 AUTH PLAIN\r\n");
+        else if (line === "QUIT") socket.end("221 bye\r\n");
+        else socket.write("250 ok\r\n");
+      }
+    });
+  });
+  const port = await listen(server);
+  Object.assign(process.env, {
+    SMTP_HOST: "127.0.0.1", SMTP_PORT: String(port), SMTP_SECURE: "false",
+    SMTP_USER: "bot@example.org", SMTP_PASS: "secret",
+  });
+  try {
+    await assert.rejects(
+      notify({ channel: "email", target: "a@example.org", subject: "s", text: "t" }),
+      /refusing to send credentials without TLS/
+    );
+    assert.ok(!received.some(l => l.startsWith("AUTH")));
+  } finally {
+    server.close();
+  }
+});
+
+test("resolveWebhookTarget rejects non-http and private targets", async () => {
+  assert.equal(await webhookTargetError("ftp://example.org/x"), "target must be an http(s) URL");
+  for (const target of ["http://127.0.0.1:8080/", "http://10.1.2.3/", "http://[::1]/", "http://169.254.169.254/"]) {
+    assert.match((await resolveWebhookTarget(target)).error, /private or loopback/, target);
+  }
+});
+
+test("resolveWebhookTarget returns the checked address of a public target", async () => {
+  assert.deepEqual(await resolveWebhookTarget("https://93.184.216.34/hook"), { address: "93.184.216.34", family: 4 });
+});
+
+test("pinnedLookup sends the request to the checked address whatever the hostname resolves to", async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    res.end("ok");
+  });
+  const port = await listen(server);
+  const lookup = pinnedLookup({ address: "127.0.0.1", family: 4 });
+  try {
+    const res = await axios.post(`http://webhook.invalid:${port}/`, "{}", {
+      httpAgent: new http.Agent({ lookup }),
+      proxy: false,
+    });
+    assert.equal(res.data, "ok");
+    assert.equal(hits, 1);
+  } finally {
+    server.close();
+  }
+});
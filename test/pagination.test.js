@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { encodeCursor, decodeCursor, findPage, parseCursorSort, CURSOR_DEFAULT_SORT } from "../pagination.js";
+import { QueryError } from "../filters.js";
+
+// Collection giả: ghi lại filter/sort mà findPage gửi xuống
+function fakeCollection(docs) {
+  const calls = [];
+  return {
+    calls,
+    find(filter) {
+      const call = { filter };
+      calls.push(call);
+      const cursor = {
+        sort(sort) { call.sort = sort; return cursor; },
+        limit(n) { call.limit = n; return cursor; },
+        toArray: async () => docs.slice(0, call.limit),
+      };
+      return cursor;
+    },
+  };
+}
+
+test("parseCursorSort defaults to newest _id first", () => {
+  assert.deepEqual(parseCursorSort(undefined, ["_id"]), CURSOR_DEFAULT_SORT);
+});
+
+test("parseCursorSort rejects mixed-type fields such as created_time and sjr", () => {
+  for (const sort of ["-created_time", "sjr"]) {
+    assert.throws(() => parseCursorSort(sort, ["_id"]), err => {
+      assert.ok(err instanceof QueryError);
+      assert.match(err.details[0].message, /when using cursor/);
+      return true;
+    });
+  }
+});
+
+test("parseCursorSort maps conference date sorts to their Date fields", () => {
+  assert.deepEqual(parseCursorSort("deadline,-start_date", ["_id", "deadline", "start_date"]), { deadline_at: 1, start_at: -1 });
+});
+
+test("cursor round-trips and is bound to its sort", () => {
+  const doc = { _id: new ObjectId(), deadline_at: new Date("2026-03-01T00:00:00Z") };
+  const cursor = encodeCursor({ deadline_at: 1 }, doc);
+  assert.deepEqual(decodeCursor(cursor, { deadline_at: 1 }), { values: [doc.deadline_at], id: doc._id });
+  assert.equal(decodeCursor("", { deadline_at: 1 }), null);
+  assert.throws(() => decodeCursor(cursor, { _id: -1 }), err => /different sort/.test(err.details[0].message));
+  assert.throws(() => decodeCursor("not-a-cursor", { _id: -1 }), QueryError);
+});
+
+test("findPage with an _id sort keeps its direction and needs no tie-breaker", async () => {
+  const ids = [3, 2, 1].map(n => new ObjectId(n.toString(16).padStart(24, "0")));
+  const col = fakeCollection(ids.map(_id => ({ _id })));
+  const first = await findPage(col, {}, { sort: { _id: -1 }, cursor: null, limit: 2 });
+  assert.deepEqual(col.calls[0].sort, { _id: -1 });
+  assert.ok(first.next_cursor);
+
+  await findPage(col, {}, { sort: { _id: -1 }, cursor: decodeCursor(first.next_cursor, { _id: -1 }), limit: 2 });
+  assert.deepEqual(col.calls[1].filter, { $or: [{ $or: [{ _id: { $lt: ids[1] } }, { _id: null }] }] });
+});
+
+test("findPage adds _id as tie-breaker after other sort fields", async () => {
+  const col = fakeCollection([]);
+  const id = new ObjectId();
+  const at = new Date("2026-01-01T00:00:00Z");
+  await findPage(col, { status: "x" }, { sort: { deadline_at: 1 }, cursor: { values: [at], id }, limit: 10 });
+  assert.deepEqual(col.calls[0].sort, { deadline_at: 1, _id: 1 });
+  assert.deepEqual(col.calls[0].filter, {
+    $and: [
+      { status: "x" },
+      { $or: [{ deadline_at: { $gt: at } }, { $and: [{ deadline_at: at }, { _id: { $gt: id } }] }] },
+    ],
+  });
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalize, validate, ValidationError } from "../schemas.js";
+
+test("lenient import converts feed timestamps to Date", () => {
+  const { value, errors } = normalize("journal", { title: "J", created_time: "2024-05-01T10:00:00Z", modified_time: "" }, { lenient: true });
+  assert.deepEqual(errors, []);
+  assert.ok(value.created_time instanceof Date);
+  assert.equal(value.created_time.toISOString(), "2024-05-01T10:00:00.000Z");
+  assert.equal("modified_time" in value, false);
+});
+
+test("lenient import drops unparseable feed timestamps", () => {
+  const { value, errors } = normalize("journal", { title: "J", created_time: "yesterday" }, { lenient: true });
+  assert.equal("created_time" in value, false);
+  assert.equal(errors[0].field, "created_time");
+});
+
+test("REST input cannot set server timestamps", () => {
+  const { errors } = normalize("journal", { title: "J", created_time: "2024-05-01" });
+  assert.match(errors[0].message, /managed by the server/);
+});
+
+test("partial update rejects clearing a required field", () => {
+  assert.throws(() => validate("journal", { title: "" }, { partial: true }), err => {
+    assert.ok(err instanceof ValidationError);
+    assert.deepEqual(err.details.map(d => d.field), ["title"]);
+    return true;
+  });
+  assert.throws(() => validate("conference", { acronym: null, name: "" }, { partial: true }), /Invalid conference/);
+});
+
+test("partial update may clear one required field while setting another of its group", () => {
+  assert.deepEqual(validate("conference", { acronym: null, name: "New Name" }, { partial: true }), { acronym: null, name: "New Name" });
+  assert.deepEqual(validate("journal", { publisher: "" }, { partial: true }), { publisher: null });
+});
+
+test("full input still requires one field of each group", () => {
+  const { errors } = normalize("conference", { location: "Hanoi" });
+  assert.deepEqual(errors, [{ field: "name|title|acronym", message: "one of name, title, acronym is required" }]);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// search.js tạo MongoClient ngay khi load → cần URI, không kết nối trong test
+process.env.MONGODB_URI ??= "mongodb://127.0.0.1:1";
+const { lexicalSearch, extractTerms } = await import("../search.js");
+
+// DB giả: mỗi lượt find trả về docs theo thứ tự gọi, ghi lại filter/limit
+function fakeDb(results) {
+  const calls = [];
+  return {
+    calls,
+    collection: () => ({
+      find(filter) {
+        const call = { filter };
+        calls.push(call);
+        const docs = results[calls.length - 1] || [];
+        const cursor = {
+          limit(n) { call.limit = n; return cursor; },
+          toArray: async () => docs.slice(0, call.limit),
+        };
+        return cursor;
+      },
+    }),
+  };
+}
+
+test("lexicalSearch fetches exact acronym matches before substring matches", async () => {
+  const exact = { _key: "AAAI", acronym: "AAAI", name: "AAAI Conference on Artificial Intelligence" };
+  const noise = Array.from({ length: 250 }, (_, i) => ({ _key: `x${i}`, name: `Workshop at AAAI ${i}` }));
+  const db = fakeDb([[exact], noise]);
+
+  const hits = await lexicalSearch(db, "conference", extractTerms("AAAI deadline"), { limit: 3 });
+
+  assert.deepEqual(db.calls[0].filter.$and.at(-1), { $or: [{ acronym: /^AAAI$/i }] });
+  assert.deepEqual(db.calls[1].filter.$and.at(-1), { $nor: [{ acronym: /^AAAI$/i }] });
+  assert.equal(db.calls[1].limit, 199);
+  assert.equal(hits[0].acronym, "AAAI");
+  assert.equal(hits.length, 3);
+});
+
+test("lexicalSearch matches ISSNs exactly in both stored forms", async () => {
+  const db = fakeDb([[{ _key: "J", title: "J", issn: ["1234-567X"] }], []]);
+  const hits = await lexicalSearch(db, "journal", extractTerms("issn 1234567x"), { limit: 5 });
+  assert.deepEqual(db.calls[0].filter.$and.at(-1), { $or: [{ issn: { $in: ["1234-567X", "1234567X"] } }] });
+  assert.deepEqual(hits[0].matched, ["issn:1234567X"]);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "stream";
+import { streamJsonArray, streamCsv, mapRecord, resolveSource, ADAPTERS } from "../sources.js";
+
+// Chia văn bản thành chunk nhỏ để kiểm tra trạng thái parser giữa các chunk
+function chunked(text, size = 3) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) chunks.push(Buffer.from(text.slice(i, i + size)));
+  return Readable.from(chunks);
+}
+
+async function collect(iterable) {
+  const out = [];
+  for await (const x of iterable) out.push(x);
+  return out;
+}
+
+test("streamJsonArray yields each object of a top-level array across chunks", async () => {
+  const json = '[{"a":1,"s":"x}\\"]"},{"b":{"c":[1,2]}}]';
+  assert.deepEqual(await collect(streamJsonArray(chunked(json))), [{ a: 1, s: 'x}"]' }, { b: { c: [1, 2] } }]);
+});
+
+test("streamJsonArray reads the array under recordsPath of a top-level object", async () => {
+  const json = '{"meta":"journal","journal":[{"title":"J1"},{"title":"J2"}],"conference":[{"name":"C"}]}';
+  assert.deepEqual(await collect(streamJsonArray(chunked(json, 4), { recordsPath: "journal" })), [{ title: "J1" }, { title: "J2" }]);
+  assert.deepEqual(await collect(streamJsonArray(chunked(json, 5), { recordsPath: "conference" })), [{ name: "C" }]);
+});
+
+test("streamJsonArray reports objects without the configured array", async () => {
+  await assert.rejects(collect(streamJsonArray(chunked('{"a":[]}'))), /Expected a JSON array/);
+  await assert.rejects(collect(streamJsonArray(chunked('{"a":[]}'), { recordsPath: "journal" })), /no "journal" array/);
+  await assert.rejects(collect(streamJsonArray(chunked('[{"a":1}'))), /Unexpected end/);
+});
+
+test("json-file adapter imports the repo's data.json by type", async () => {
+  const source = await resolveSource({ source: new URL("../data.json", import.meta.url).pathname, type: "conference" });
+  const records = await collect(ADAPTERS[source.adapter].records(source, { bytes: 0 }));
+  assert.equal(source.adapter, "json-file");
+  assert.ok(records.length > 0);
+  assert.ok(records.every(r => r.name || r.acronym));
+});
+
+test("streamCsv handles quotes, embedded newlines and detects the delimiter", async () => {
+  const csv = '﻿Title;Publisher\r\n"A ""quoted"" title";"P;1"\r\n"multi\nline";P2\r\n\r\n';
+  assert.deepEqual(await collect(streamCsv(chunked(csv, 2))), [
+    { Title: 'A "quoted" title', Publisher: "P;1" },
+    { Title: "multi\nline", Publisher: "P2" },
+  ]);
+});
+
+test("streamCsv without header uses the configured columns", async () => {
+  const rows = await collect(streamCsv(chunked("1,Conf,C\n"), { header: false, columns: ["id", "name"] }));
+  assert.deepEqual(rows, [{ id: "1", name: "Conf", column_3: "C" }]);
+});
+
+test("mapRecord renames mapped columns and drops the rest unless keep_unmapped", () => {
+  const raw = { Title: "J", Extra: "x", Skip: "y" };
+  assert.deepEqual(mapRecord(raw, { mapping: { Title: "title", Skip: null } }), { title: "J" });
+  assert.deepEqual(mapRecord(raw, { mapping: { Title: "title" }, keep_unmapped: true }), { title: "J", Extra: "x", Skip: "y" });
+  assert.equal(mapRecord(raw), raw);
+});
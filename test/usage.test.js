@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { usageQuery } from "../usage.js";
+
+test("a date-only `to` covers the whole day", () => {
+  const { match } = usageQuery({ from: "2026-01-01", to: "2026-01-31" });
+  assert.deepEqual(match.created_time, {
+    $gte: new Date("2026-01-01T00:00:00Z"),
+    $lt: new Date("2026-02-01T00:00:00Z"),
+  });
+});
+
+test("a full timestamp `to` is an inclusive bound", () => {
+  const { match } = usageQuery({ to: "2026-01-31T12:30:00Z" });
+  assert.deepEqual(match.created_time, { $lte: new Date("2026-01-31T12:30:00Z") });
+});
+
+test("usageQuery rejects unknown group_by fields and bad dates", () => {
+  assert.throws(() => usageQuery({ group_by: "model,color", to: "soon" }), err => {
+    assert.deepEqual(err.details.map(d => d.param), ["group_by", "to"]);
+    return true;
+  });
+});
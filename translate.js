@@ -0,0 +1,53 @@
+// translate.js — dịch câu hỏi sang tiếng Anh trước khi tìm kiếm (tùy chọn)
+//
+// Tên/chủ đề venue chủ yếu là tiếng Anh; embedding model chỉ hiểu tiếng Anh (all-MiniLM-L6-v2) và reranker
+// ms-marco truy hồi kém với câu hỏi tiếng Việt.
+// QUERY_TRANSLATION=off (mặc định) | auto (chỉ khi embedding model không đa ngôn ngữ) | on
+// QUERY_TRANSLATION_MODEL: model_id trong models.json (mặc định qwen-max). Lỗi LLM → dùng câu hỏi gốc.
+// Lời gọi LLM thật (không trúng cache) trả kèm `llm` để route tính quota token + ghi usage cho người gọi.
+import { callLLM } from "./llm.js";
+import { getEmbeddingModel } from "./embedder.js";
+
+export const TRANSLATION_MODES = ["off", "auto", "on"];
+export const QUERY_TRANSLATION = TRANSLATION_MODES.includes(String(process.env.QUERY_TRANSLATION).toLowerCase())
+  ? String(process.env.QUERY_TRANSLATION).toLowerCase()
+  : "off";
+const TRANSLATION_MODEL = process.env.QUERY_TRANSLATION_MODEL || "qwen-max";
+const CACHE_SIZE = 500;
+
+const cache = new Map(); // câu hỏi → bản dịch (xóa entry cũ nhất khi đầy)
+
+function buildTranslatePrompt(question) {
+  return `Translate the following search query for academic journals and conferences into English.
+Keep acronyms, venue names, ISSNs and numbers unchanged. Reply with the English query only, no explanation.
+
+Query: ${question}`;
+}
+
+// Chỉ dịch câu hỏi có ký tự ngoài ASCII (tiếng Việt có dấu, ...); auto → chỉ khi model không đa ngôn ngữ
+export function shouldTranslate(question, mode = QUERY_TRANSLATION) {
+  if (mode === "off" || !/[^\x00-\x7F]/.test(question)) return false;
+  return mode === "on" || !getEmbeddingModel().multilingual;
+}
+
+// → { text, translated, model_id?, error?, llm?: { prompt, model_id, start, result?, error? } }
+export async function translateQuery(question, { mode = QUERY_TRANSLATION } = {}) {
+  if (!shouldTranslate(question, mode)) return { text: question, translated: false };
+  if (cache.has(question)) return { text: cache.get(question), translated: true, model_id: TRANSLATION_MODEL, cached: true };
+
+  const llm = { prompt: buildTranslatePrompt(question), model_id: TRANSLATION_MODEL, start: Date.now() };
+  try {
+    const result = await callLLM(llm.prompt, TRANSLATION_MODEL);
+    llm.result = result;
+    const text = String(result.answer || "").trim().replace(/^["']|["']$/g, "").split("\n")[0].trim();
+    if (!text) return { text: question, translated: false, error: "Empty translation", llm };
+
+    if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+    cache.set(question, text);
+    return { text, translated: true, model_id: result.model_id, llm };
+  } catch (err) {
+    console.error("❌ Query translation failed, using original question:", err.message);
+    llm.error = err;
+    return { text: question, translated: false, error: err.message, llm };
+  }
+}
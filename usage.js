@@ -0,0 +1,120 @@
+// usage.js — lưu token/chi phí của từng lần gọi LLM và báo cáo tổng hợp
+import { getDb } from "./db.js";
+import { QueryError } from "./filters.js";
+
+async function Usage() {
+  return (await getDb()).collection("llm_usage");
+}
+
+// Ghi một bản ghi; lỗi ghi log không được làm hỏng response
+export async function recordUsage(entry) {
+  try {
+    const prompt_tokens = entry.prompt_tokens ?? 0;
+    const completion_tokens = entry.completion_tokens ?? 0;
+    await (await Usage()).insertOne({
+      ...entry,
+      prompt_tokens,
+      completion_tokens,
+      total_tokens: prompt_tokens + completion_tokens,
+      created_time: new Date(),
+    });
+  } catch (err) {
+    console.error("❌ recordUsage failed:", err.message);
+  }
+}
+
+/* ===================== Report ===================== */
+const GROUP_FIELDS = {
+  model: "$answered_by",
+  provider: "$provider",
+  day: { $dateToString: { format: "%Y-%m-%d", date: "$created_time" } },
+  api_key: "$api_key",
+  endpoint: "$endpoint",
+};
+
+function parseDateParam(name, v, errors) {
+  if (v === undefined || v === "") return undefined;
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) {
+    errors.push({ param: name, message: `${name} must be a date (YYYY-MM-DD)`, value: v });
+    return undefined;
+  }
+  return d;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isDateOnly = v => /^\d{4}-\d{2}-\d{2}$/.test(String(v));
+
+const EMPTY_TOTALS = {
+  calls: 0,
+  errors: 0,
+  prompt_tokens: 0,
+  completion_tokens: 0,
+  total_tokens: 0,
+  cost_usd: 0,
+  avg_response_time_ms: null,
+};
+
+// Bộ lọc $match + group_by của báo cáo (tách riêng để kiểm thử)
+// to = "YYYY-MM-DD" tính trọn ngày đó: created_time < 00:00 UTC ngày hôm sau; to là thời điểm đầy đủ → ≤ to
+export function usageQuery(query = {}) {
+  const errors = [];
+  const groupBy = String(query.group_by || "model")
+    .split(",")
+    .map(x => x.trim())
+    .filter(Boolean);
+  const bad = groupBy.filter(g => !GROUP_FIELDS[g]);
+  if (bad.length) {
+    errors.push({ param: "group_by", message: `group_by must be among ${Object.keys(GROUP_FIELDS).join(", ")}`, value: bad });
+  }
+
+  const from = parseDateParam("from", query.from, errors);
+  const to = parseDateParam("to", query.to, errors);
+  if (errors.length) throw new QueryError("Invalid query parameters", errors);
+
+  const match = {};
+  if (from || to) {
+    match.created_time = {};
+    if (from) match.created_time.$gte = from;
+    if (to && isDateOnly(query.to)) match.created_time.$lt = new Date(to.getTime() + DAY_MS);
+    else if (to) match.created_time.$lte = to;
+  }
+  if (query.model_id) match.answered_by = query.model_id;
+  if (query.api_key) match.api_key = query.api_key;
+  if (query.endpoint) match.endpoint = query.endpoint;
+  return { groupBy, from, to, match };
+}
+
+// query: { group_by: "model,day", from, to, model_id, api_key, endpoint }
+export async function usageReport(query = {}) {
+  const { groupBy, from, to, match } = usageQuery(query);
+
+  const sums = {
+    calls: { $sum: 1 },
+    errors: { $sum: { $cond: [{ $eq: ["$status", "error"] }, 1, 0] } },
+    prompt_tokens: { $sum: "$prompt_tokens" },
+    completion_tokens: { $sum: "$completion_tokens" },
+    total_tokens: { $sum: "$total_tokens" },
+    cost_usd: { $sum: { $ifNull: ["$cost_usd", 0] } },
+    avg_response_time_ms: { $avg: "$response_time_ms" },
+  };
+
+  const col = await Usage();
+  const [items, totals] = await Promise.all([
+    col.aggregate([
+      { $match: match },
+      { $group: { _id: Object.fromEntries(groupBy.map(g => [g, GROUP_FIELDS[g]])), ...sums } },
+      { $sort: { cost_usd: -1 } },
+    ]).toArray(),
+    col.aggregate([{ $match: match }, { $group: { _id: null, ...sums } }]).toArray(),
+  ]);
+
+  const { _id: _all, ...total } = totals[0] || EMPTY_TOTALS;
+  return {
+    group_by: groupBy,
+    from: from || null,
+    to: to || null,
+    totals: total,
+    items: items.map(({ _id, ...rest }) => ({ ..._id, ...rest })),
+  };
+}
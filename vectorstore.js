@@ -0,0 +1,234 @@
+// vectorstore.js — backend tìm kiếm vector: Atlas $vectorSearch hoặc index local trong process
+//
+// VECTOR_STORE=atlas | local | auto (mặc định auto: thử Atlas, lỗi thì dùng local)
+// Mỗi backend có search(db, name, queryVector, { limit, projection, prefilter, filter }) → docs kèm `score`
+// (score theo thang Atlas cosine: (1 + cos) / 2).
+//  - prefilter: đẩy vào `filter` của $vectorSearch (field phải khai báo type "filter" trong index Atlas)
+//  - filter: query Mongo bất kỳ, áp dụng sau $vectorSearch (Atlas) hoặc trước khi quét (local)
+//  - includeRemoved: mặc định bỏ document status: "removed" (soft-delete của import.js) / "merged" (dedup.js)
+// Chỉ so với vector của EMBEDDING_MODEL hiện tại (vector_model, xem embedder.js). Model mới khác chiều
+// → Atlas index phải tạo lại với numDimensions mới.
+import { ACTIVE_FILTER, INACTIVE_STATUSES } from "./filters.js";
+import { currentModelFilter, vectorModelOf, getEmbeddingModel } from "./embedder.js";
+
+const VECTOR_STORE = (process.env.VECTOR_STORE || "auto").toLowerCase();
+const LOCAL_CACHE_TTL_MS = Number(process.env.VECTOR_CACHE_TTL_MS || 10 * 60 * 1000);
+
+const ATLAS_INDEXES = {
+  conference: "vector_index_conference",
+  journal: "vector_index_journal",
+};
+
+/* ===================== Atlas ===================== */
+// projection của caller áp dụng sau khi đã có score: dạng loại trừ ({ vector: 0 }) giữ nguyên,
+// dạng chọn field ({ title: 1 }) thì thêm score; {} (includeVector) → không $project
+function withScore(projection) {
+  const inclusive = Object.entries(projection).some(([f, v]) => f !== "_id" && v);
+  return inclusive ? { ...projection, score: 1 } : projection;
+}
+
+const atlasStore = {
+  name: "atlas",
+
+  async search(db, name, queryVector, { limit, projection = {}, prefilter, filter, includeRemoved = false }) {
+    const hasPrefilter = prefilter && Object.keys(prefilter).length;
+    const hasFilter = filter && Object.keys(filter).length;
+    // Lọc sau $vectorSearch làm rơi bớt kết quả → lấy dư rồi cắt lại (record removed / vector model cũ ít → dư vừa phải)
+    const searchLimit = hasFilter ? limit * 10 : limit * 2;
+    const match = [hasFilter && filter, !includeRemoved && ACTIVE_FILTER, currentModelFilter()].filter(Boolean);
+
+    return db.collection(name).aggregate([
+      {
+        $vectorSearch: {
+          index: ATLAS_INDEXES[name],
+          path: "vector",
+          queryVector,
+          numCandidates: Math.max(100, searchLimit * 10),
+          limit: searchLimit,
+          similarity: "cosine",
+          ...(hasPrefilter && { filter: prefilter }),
+        },
+      },
+      { $addFields: { score: { $meta: "vectorSearchScore" } } },
+      { $match: match.length === 1 ? match[0] : { $and: match } },
+      { $limit: limit },
+      ...(Object.keys(projection).length ? [{ $project: withScore(projection) }] : []),
+    ]).toArray();
+  },
+};
+
+/* ===================== Local (brute-force) ===================== */
+// Cache { ids, vectors (Float32Array liền mạch), removed (Uint8Array), dim, model, skipped, loadedAt } theo collection
+const localIndexes = new Map();
+const loading = new Map();
+
+async function loadLocalIndex(db, name) {
+  const cursor = db.collection(name).find(
+    { vector: { $type: "array", $ne: [] } },
+    { projection: { _id: 1, vector: 1, status: 1, vector_model: 1 } }
+  );
+
+  const model = getEmbeddingModel().name;
+  const ids = [];
+  const chunks = [];
+  const flags = [];
+  const skipped = {}; // model khác → số vector bị bỏ
+  let dim = 0;
+  for await (const doc of cursor) {
+    const docModel = vectorModelOf(doc);
+    if (docModel !== model) {
+      skipped[docModel] = (skipped[docModel] || 0) + 1;
+      continue;
+    }
+    if (!dim) dim = doc.vector.length;
+    if (doc.vector.length !== dim) continue; // bỏ vector khác chiều
+    ids.push(doc._id);
+    chunks.push(doc.vector);
+    flags.push(INACTIVE_STATUSES.includes(doc.status) ? 1 : 0);
+  }
+
+  const vectors = new Float32Array(ids.length * dim);
+  chunks.forEach((v, i) => vectors.set(v, i * dim));
+
+  const index = { ids, vectors, removed: Uint8Array.from(flags), dim, model, skipped, loadedAt: Date.now() };
+  localIndexes.set(name, index);
+  console.log(`✅ Local vector index "${name}": ${ids.length} vectors (dim=${dim}, model=${model})`);
+  const other = Object.entries(skipped).map(([m, n]) => `${m}=${n}`).join(", ");
+  if (other) console.warn(`⚠️ Local vector index "${name}": skipped vectors from other models (${other}) → run reembed.js`);
+  return index;
+}
+
+async function getLocalIndex(db, name) {
+  const cached = localIndexes.get(name);
+  if (cached && Date.now() - cached.loadedAt < LOCAL_CACHE_TTL_MS) return cached;
+  // Tránh load song song cùng một collection
+  if (!loading.has(name)) {
+    loading.set(name, loadLocalIndex(db, name).finally(() => loading.delete(name)));
+  }
+  return loading.get(name);
+}
+
+function norm(v, offset = 0, dim = v.length) {
+  let s = 0;
+  for (let i = 0; i < dim; i++) s += v[offset + i] * v[offset + i];
+  return Math.sqrt(s) || 1;
+}
+
+const localStore = {
+  name: "local",
+
+  async search(db, name, queryVector, { limit, projection = {}, prefilter, filter, includeRemoved = false }) {
+    const { ids, vectors, removed, dim } = await getLocalIndex(db, name);
+    if (!ids.length) return [];
+    if (queryVector.length !== dim) {
+      throw new Error(`Query vector dim ${queryVector.length} ≠ index dim ${dim} ("${name}")`);
+    }
+
+    // Có filter → chỉ quét các document thỏa điều kiện
+    const where = [prefilter, filter].filter(f => f && Object.keys(f).length);
+    let allowed = null;
+    if (where.length) {
+      const matching = await db.collection(name)
+        .find(where.length === 1 ? where[0] : { $and: where }, { projection: { _id: 1 } })
+        .toArray();
+      allowed = new Set(matching.map(d => String(d._id)));
+    }
+
+    const qNorm = norm(queryVector);
+    const top = []; // [{ i, cos }] giữ sắp xếp giảm dần, tối đa `limit` phần tử
+    for (let i = 0; i < ids.length; i++) {
+      if (!includeRemoved && removed[i]) continue;
+      if (allowed && !allowed.has(String(ids[i]))) continue;
+      const offset = i * dim;
+      let dot = 0;
+      for (let d = 0; d < dim; d++) dot += queryVector[d] * vectors[offset + d];
+      const cos = dot / (qNorm * norm(vectors, offset, dim));
+
+      if (top.length < limit || cos > top[top.length - 1].cos) {
+        let pos = top.length;
+        while (pos > 0 && top[pos - 1].cos < cos) pos--;
+        top.splice(pos, 0, { i, cos });
+        if (top.length > limit) top.pop();
+      }
+    }
+
+    // Luôn lấy _id để ghép đúng thứ tự, bỏ đi sau nếu projection yêu cầu
+    const { _id: idProjection, ...rest } = projection;
+    const topIds = top.map(t => ids[t.i]);
+    const docs = await db.collection(name).find({ _id: { $in: topIds } }, { projection: rest }).toArray();
+    const byId = new Map(docs.map(d => {
+      if (idProjection === 0) {
+        const { _id, ...doc } = d;
+        return [String(_id), doc];
+      }
+      return [String(d._id), d];
+    }));
+
+    return top
+      .map(t => {
+        const doc = byId.get(String(ids[t.i]));
+        return doc && { ...doc, score: (1 + t.cos) / 2 };
+      })
+      .filter(Boolean);
+  },
+};
+
+/* ===================== Chọn backend ===================== */
+const STORES = { atlas: atlasStore, local: localStore };
+
+// auto: sau khi Atlas báo không hỗ trợ $vectorSearch thì dùng local cho cả process
+let autoFallback = false;
+
+function isUnsupportedStage(err) {
+  return err?.code === 40324 || /\$vectorSearch/.test(err?.message || "");
+}
+
+export function activeBackend() {
+  if (VECTOR_STORE === "auto") return autoFallback ? "local" : "atlas";
+  return STORES[VECTOR_STORE] ? VECTOR_STORE : "atlas";
+}
+
+export async function vectorSearch(db, name, queryVector, options) {
+  if (VECTOR_STORE !== "auto") {
+    return STORES[activeBackend()].search(db, name, queryVector, options);
+  }
+  if (autoFallback) return localStore.search(db, name, queryVector, options);
+
+  try {
+    return await atlasStore.search(db, name, queryVector, options);
+  } catch (err) {
+    if (isUnsupportedStage(err)) {
+      console.warn(`⚠️ Atlas $vectorSearch unavailable (${err.message}) → switching to local vector store`);
+      autoFallback = true;
+    } else {
+      console.warn(`⚠️ Atlas vector search failed on "${name}": ${err.message} → using local vector store`);
+    }
+    return localStore.search(db, name, queryVector, options);
+  }
+}
+
+// Xóa cache local (vd. sau khi import/ghi vector mới)
+export function invalidateLocalIndex(name) {
+  if (name) localIndexes.delete(name);
+  else localIndexes.clear();
+}
+
+// Thông tin cho /api/health
+export function getVectorStoreInfo() {
+  return {
+    configured: VECTOR_STORE,
+    backend: activeBackend(),
+    local_index: Object.fromEntries(
+      [...localIndexes].map(([name, idx]) => [
+        name,
+        {
+          vectors: idx.ids.length,
+          dim: idx.dim,
+          model: idx.model,
+          skipped_other_models: idx.skipped,
+          loaded_at: new Date(idx.loadedAt).toISOString(),
+        },
+      ])
+    ),
+  };
+}